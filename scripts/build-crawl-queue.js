@@ -13,7 +13,7 @@
  *   - 1 reserved slot (recovery or overflow domain)
  *
  * Usage:
- *   node scripts/build-crawl-queue.js [--output queue.json] [--history-dir ./crawl-results] [--budget 5] [--verbose]
+ *   node scripts/build-crawl-queue.js [--output queue.json] [--history-dir ./crawl-results] [--budget 5] [--seeds config/crawl-seeds.json] [--verbose]
  */
 
 const fs = require('fs');
@@ -23,8 +23,7 @@ const DEFAULT_BUDGET = 5;
 const HUB_SLOTS = 1;
 const RESERVED_SLOTS = 1;
 
-function loadSeeds() {
-  const seedsPath = path.join(__dirname, '..', 'config', 'crawl-seeds.json');
+function loadSeeds(seedsPath = path.join(__dirname, '..', 'config', 'crawl-seeds.json')) {
   return JSON.parse(fs.readFileSync(seedsPath, 'utf-8'));
 }
 
@@ -150,6 +149,7 @@ function parseArgs(argv) {
     output: null,
     historyDir: null,
     budget: DEFAULT_BUDGET,
+    seeds: null,
     verbose: false,
   };
 
@@ -161,6 +161,8 @@ function parseArgs(argv) {
       args.historyDir = argv[++i];
     } else if (arg === '--budget') {
       args.budget = parseInt(argv[++i], 10) || DEFAULT_BUDGET;
+    } else if (arg === '--seeds') {
+      args.seeds = argv[++i];
     } else if (arg === '--verbose') {
       args.verbose = true;
     }
@@ -171,7 +173,7 @@ function parseArgs(argv) {
 
 function main() {
   const args = parseArgs(process.argv.slice(2));
-  const seeds = loadSeeds();
+  const seeds = args.seeds ? loadSeeds(args.seeds) : loadSeeds();
   const history = loadCrawlHistory(args.historyDir);
   const queue = selectQueue(seeds, history, args.budget, args.verbose);
 
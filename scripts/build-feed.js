@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Catalog Atom Feed
+ *
+ * Builds catalog-feed.xml, an Atom feed of services that were recently added
+ * to the catalog or had their link or details updated, from the addedAt and
+ * updatedAt dates in service-catalog-v8.json. Agencies and libraries can
+ * subscribe to it to hear about catalog changes.
+ *
+ * sync-catalog.js writes the feed every time it runs, so it stays in step
+ * with the catalog; this script can also be run on its own.
+ *
+ * Usage:
+ *   node scripts/build-feed.js [--catalog <file>] [--out <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG = {
+  catalogPath: path.join(__dirname, '..', 'service-catalog-v8.json'),
+  feedPath: path.join(__dirname, '..', 'catalog-feed.xml'),
+  maxEntries: 50,
+  title: 'Colorado Digital Services Navigator: new and updated services',
+  author: 'Colorado Digital Services Navigator',
+  homeUrl: 'https://github.com/bntcurtis/colorado-digital-services-navigator',
+  idPrefix: 'tag:github.com,2026:bntcurtis/colorado-digital-services-navigator',
+};
+
+function parseArgs(argv) {
+  const args = {
+    catalog: CONFIG.catalogPath,
+    out: CONFIG.feedPath,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--catalog') {
+      args.catalog = argv[++i];
+    } else if (arg === '--out') {
+      args.out = argv[++i];
+    }
+  }
+
+  return args;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toTimestamp(date) {
+  return `${date}T00:00:00Z`;
+}
+
+function englishText(value) {
+  return value && typeof value === 'object' ? value.en : value;
+}
+
+/**
+ * Services with an addedAt or updatedAt date, newest first. A service counts
+ * as new unless it was updated after it was added.
+ */
+function getRecentChanges(services, limit = CONFIG.maxEntries) {
+  return services
+    .filter(service => service.addedAt || service.updatedAt)
+    .map(service => {
+      const isNew = Boolean(service.addedAt) && (!service.updatedAt || service.addedAt >= service.updatedAt);
+      return {
+        service,
+        kind: isNew ? 'new' : 'updated',
+        date: isNew ? service.addedAt : service.updatedAt,
+      };
+    })
+    .sort((a, b) => b.date.localeCompare(a.date) || b.service.id - a.service.id)
+    .slice(0, limit);
+}
+
+function renderEntry({ service, kind, date }) {
+  const lines = [
+    '  <entry>',
+    `    <id>${CONFIG.idPrefix}/service/${service.id}</id>`,
+    `    <title>${kind === 'new' ? 'New' : 'Updated'}: ${escapeXml(englishText(service.name))}</title>`,
+    `    <link rel="alternate" href="${escapeXml(service.url)}"/>`,
+    `    <updated>${toTimestamp(date)}</updated>`,
+  ];
+  if (service.addedAt) lines.push(`    <published>${toTimestamp(service.addedAt)}</published>`);
+  if (service.category) lines.push(`    <category term="${escapeXml(englishText(service.category))}"/>`);
+  lines.push(`    <summary>${escapeXml(englishText(service.description))}</summary>`);
+  lines.push('  </entry>');
+  return lines.join('\n');
+}
+
+function buildAtomFeed(catalog) {
+  const changes = getRecentChanges(catalog.services || []);
+  const updated = changes.length ? changes[0].date : catalog.lastUpdated;
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+    `  <id>${CONFIG.idPrefix}/catalog</id>`,
+    `  <title>${escapeXml(CONFIG.title)}</title>`,
+    `  <subtitle>Catalog version ${escapeXml(catalog.version)}</subtitle>`,
+    `  <link rel="alternate" href="${CONFIG.homeUrl}"/>`,
+    `  <updated>${toTimestamp(updated)}</updated>`,
+    `  <author><name>${escapeXml(CONFIG.author)}</name></author>`,
+    ...changes.map(renderEntry),
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(args.catalog, 'utf-8'));
+  } catch (error) {
+    console.error(`Failed to load catalog: ${error.message}`);
+    process.exit(1);
+  }
+
+  fs.writeFileSync(args.out, buildAtomFeed(catalog));
+  console.log(`Wrote ${args.out}`);
+}
+
+module.exports = {
+  CONFIG,
+  getRecentChanges,
+  buildAtomFeed,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -2,8 +2,14 @@
 /**
  * Catalog Agent
  *
- * - Checks links in the current catalog and repairs safe redirects
- * - Optionally discovers new services via recent crawl artifacts and sitemaps
+ * - Checks links in the current catalog and repairs permanent (301/308)
+ *   redirects within the same site, keeping a link-health history so
+ *   one-off failures aren't escalated. Redirects to a home page go to
+ *   review; temporary and login redirects are left alone
+ * - Checks each distinct department homepage once and applies a repair to
+ *   every service that links to it
+ * - Optionally discovers new services via recent crawl artifacts and sitemaps,
+ *   honoring robots.txt and listing any URLs it skipped
  * - Generates bilingual metadata via a separate Gemini worker
  * - Writes a review report for human approval
  */
@@ -16,15 +22,26 @@ const {
   loadNormalizedCrawlResults,
   recoverServiceFromCrawl,
 } = require('./recover-links-from-crawl');
+const { loadTagTranslations, localizeTags } = require('./migrate-tags');
+const { createHttpClient, classifyError, describeError, mapWithConcurrency } = require('./lib/http');
+const { createRobotsCache } = require('./lib/robots');
+const linkHealth = require('./lib/link-health');
+const { createHttpCache, createPageChecker } = require('./lib/http-cache');
+const { createSoft404Detector } = require('./lib/soft404');
+const { classifyRedirects, formatChain, getBaseDomain, isSuspiciousRedirect, redirectFields } = require('./lib/redirects');
 
 const CONFIG = {
   catalogPath: path.join(__dirname, '..', 'service-catalog-v8.json'),
-  schemaPath: path.join(__dirname, '..', 'service-schema-v3.json'),
+  schemaPath: path.join(__dirname, '..', 'service-schema-v4.json'),
   reportDir: path.join(__dirname, '..', 'reports'),
+  historyPath: linkHealth.DEFAULTS.historyPath,
+  failureThreshold: linkHealth.DEFAULTS.failureThreshold,
   timeout: 15000,
   linkConcurrency: 5,
   discoveryConcurrency: 3,
   llmConcurrency: 2,
+  retries: 2,
+  hostRate: { perSecond: 2, burst: 2 },
   userAgent: 'Colorado-Service-Navigator-CatalogAgent/1.0 (https://github.com/bntcurtis)',
   maxSitemapUrls: 8000,
   sitemapRoots: [
@@ -86,26 +103,19 @@ const CONFIG = {
     /\/page\/\d+/i,
     /\/\d{4}\/\d{2}\//i,
   ],
-  soft404Patterns: [
-    /page\s+(not\s+found|doesn't\s+exist|does\s+not\s+exist|has\s+been\s+removed)/i,
-    /404\s*(error|page)?/i,
-    /content\s+(not\s+found|unavailable|has\s+moved)/i,
-    /this\s+page\s+(no\s+longer|is\s+no\s+longer|cannot\s+be\s+found)/i,
-    /we\s+(couldn't|could\s+not|can't)\s+find/i,
-    /the\s+requested\s+(page|resource|url)\s+(was\s+not|could\s+not|cannot)/i,
-    /sorry.*?(not\s+found|doesn't\s+exist|no\s+longer\s+available)/i,
-    /has\s+been\s+(moved|deleted|removed|archived)/i,
-    /looking\s+for\s+something\?/i,
-    /oops|uh\s*oh/i,
-  ],
-  soft404TitlePatterns: [
-    /404/i,
-    /not\s+found/i,
-    /page\s+missing/i,
-    /error/i,
-  ],
 };
 
+const http = createHttpClient({
+  userAgent: CONFIG.userAgent,
+  timeout: CONFIG.timeout,
+  retries: CONFIG.retries,
+  hostRate: CONFIG.hostRate,
+});
+const robots = createRobotsCache({ http, userAgent: CONFIG.userAgent });
+const pageCache = createHttpCache({ name: 'catalog-agent' });
+const soft404Detector = createSoft404Detector({ http });
+const pageChecker = createPageChecker({ http, cache: pageCache, detector: soft404Detector });
+
 function parseArgs(argv) {
   const args = {
     mode: 'weekly',
@@ -168,93 +178,19 @@ function todayISO() {
   return new Date().toISOString().split('T')[0];
 }
 
-function getBaseDomain(hostname) {
-  const parts = hostname.split('.');
-  if (parts.length >= 3) {
-    const lastThree = parts.slice(-3).join('.');
-    if (lastThree.match(/\.(state\.co\.us|co\.us)$/)) {
-      return parts.slice(-4).join('.');
-    }
-  }
-  return parts.slice(-2).join('.');
-}
-
-function isSuspiciousRedirect(originalUrl, finalUrl) {
-  try {
-    const originalHost = new URL(originalUrl).hostname;
-    const finalHost = new URL(finalUrl).hostname;
-
-    if (originalHost === finalHost) return false;
-
-    const originalBase = getBaseDomain(originalHost);
-    const finalBase = getBaseDomain(finalHost);
-    if (originalBase === finalBase) return false;
-
-    return true;
-  } catch {
-    return true;
-  }
-}
-
 function extractTitle(html) {
   const match = html.match(/<title[^>]*>([^<]+)<\/title>/i);
   return match ? match[1].trim() : null;
 }
 
-function detectSoft404(html, title) {
-  if (title) {
-    for (const pattern of CONFIG.soft404TitlePatterns) {
-      if (pattern.test(title)) {
-        return { detected: true, reason: `Title contains 404 indicator: "${title}"` };
-      }
-    }
-  }
-
-  const contentSample = html.slice(0, 10000);
-  for (const pattern of CONFIG.soft404Patterns) {
-    const match = contentSample.match(pattern);
-    if (match) {
-      return { detected: true, reason: `Content contains: "${match[0]}"` };
-    }
-  }
-
-  return { detected: false };
-}
-
-async function fetchWithTimeout(url, options, timeoutMs) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const response = await fetch(url, { ...options, signal: controller.signal });
-    clearTimeout(timeoutId);
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
-  }
-}
-
 async function checkUrl(url) {
   const startTime = Date.now();
   try {
-    let usedGet = false;
-    let response = await fetchWithTimeout(url, {
-      method: 'HEAD',
-      redirect: 'follow',
-      headers: { 'User-Agent': CONFIG.userAgent },
-    }, CONFIG.timeout);
-
-    if (response.status === 405 || response.status === 403) {
-      response = await fetchWithTimeout(url, {
-        method: 'GET',
-        redirect: 'follow',
-        headers: { 'User-Agent': CONFIG.userAgent },
-      }, CONFIG.timeout);
-      usedGet = true;
-    }
-
+    // Known catalog links are checked regardless of Disallow; Crawl-delay still applies
+    await robots.load(url);
+    const { response, method, finalUrl, chain } = await http.headOrGet(url);
+    const redirect = classifyRedirects(chain);
     const elapsed = Date.now() - startTime;
-    const finalUrl = response.url || url;
 
     if (!response.ok) {
       return {
@@ -262,6 +198,7 @@ async function checkUrl(url) {
         httpStatus: response.status,
         reason: `HTTP ${response.status}`,
         finalUrl,
+        redirect,
         elapsed,
       };
     }
@@ -272,54 +209,19 @@ async function checkUrl(url) {
         httpStatus: response.status,
         reason: 'Redirected to different domain',
         finalUrl,
+        redirect,
         elapsed,
       };
     }
 
-    const contentType = response.headers.get('content-type') || '';
-    if (contentType.includes('text/html')) {
-      let html = '';
-      if (usedGet) {
-        html = await response.text();
-      } else {
-        const getResponse = await fetchWithTimeout(finalUrl, {
-          method: 'GET',
-          headers: { 'User-Agent': CONFIG.userAgent },
-        }, CONFIG.timeout);
-        html = await getResponse.text();
-      }
-      const title = extractTitle(html);
-      const soft404 = detectSoft404(html, title);
-      if (soft404.detected) {
-        return {
-          status: 'soft_404',
-          httpStatus: response.status,
-          reason: soft404.reason,
-          finalUrl,
-          elapsed,
-        };
-      }
-    }
-
-    return {
-      status: 'ok',
-      httpStatus: response.status,
-      finalUrl: finalUrl !== url ? finalUrl : null,
-      elapsed,
-    };
+    return await pageChecker.check(url, { response, method, finalUrl, redirect, elapsed });
   } catch (error) {
-    const elapsed = Date.now() - startTime;
-    if (error.name === 'AbortError') {
-      return {
-        status: 'timeout',
-        reason: `Request timed out after ${CONFIG.timeout}ms`,
-        elapsed,
-      };
-    }
+    const kind = classifyError(error);
     return {
-      status: 'error',
-      reason: error.message,
-      elapsed,
+      status: kind === 'timeout' ? 'timeout' : 'error',
+      errorKind: kind,
+      reason: describeError(error),
+      elapsed: Date.now() - startTime,
     };
   }
 }
@@ -378,9 +280,8 @@ function looksLikeService(url) {
 async function fetchSitemap(url, depth = 0) {
   if (depth > 2) return [];
   try {
-    const response = await fetchWithTimeout(url, {
-      headers: { 'User-Agent': CONFIG.userAgent },
-    }, CONFIG.timeout);
+    if (!(await robots.isAllowed(url, 'sitemap'))) return [];
+    const response = await http.request(url);
 
     if (!response.ok) {
       return [];
@@ -411,6 +312,41 @@ async function fetchSitemap(url, depth = 0) {
   }
 }
 
+/**
+ * Sitemap roots for discovery: CONFIG.sitemapRoots plus any Sitemap:
+ * directives in robots.txt, read from those hosts and from catalog hosts
+ * under the same base domains.
+ */
+async function collectSitemapRoots(services) {
+  const hosts = new Set();
+  const baseDomains = new Set();
+  for (const root of CONFIG.sitemapRoots) {
+    const host = new URL(root).hostname;
+    hosts.add(host);
+    baseDomains.add(getBaseDomain(host));
+  }
+  for (const service of services) {
+    try {
+      const host = new URL(service.url).hostname;
+      if (baseDomains.has(getBaseDomain(host))) hosts.add(host);
+    } catch {
+      // ignore
+    }
+  }
+
+  const known = new Set(CONFIG.sitemapRoots.map(normalizeUrl));
+  const fromRobots = [];
+  const listed = await mapWithConcurrency([...hosts], CONFIG.discoveryConcurrency, host => robots.getSitemaps(`https://${host}/`));
+  for (const url of listed.flat()) {
+    const normalized = normalizeUrl(url);
+    if (known.has(normalized)) continue;
+    known.add(normalized);
+    fromRobots.push(url);
+  }
+
+  return { roots: [...CONFIG.sitemapRoots, ...fromRobots], fromRobots };
+}
+
 function uniqueBy(array, keyFn) {
   const seen = new Set();
   const out = [];
@@ -426,9 +362,8 @@ function uniqueBy(array, keyFn) {
 
 async function fetchPageInfo(url) {
   try {
-    const response = await fetchWithTimeout(url, {
-      headers: { 'User-Agent': CONFIG.userAgent },
-    }, CONFIG.timeout);
+    if (!(await robots.isAllowed(url, 'page-info'))) return null;
+    const response = await http.request(url);
 
     if (!response.ok) return null;
     const contentType = response.headers.get('content-type') || '';
@@ -471,8 +406,112 @@ function parseSchemaEnums(schema) {
   const lifeEvent = (serviceDef.lifeEvent?.enum || []).filter(v => v !== null);
   const taskType = (serviceDef.taskType?.enum || []).filter(v => v !== null);
   const audience = (serviceDef.audience?.enum || []).filter(v => v !== null);
+  const eligibilityDef = schema?.definitions?.Eligibility?.properties || {};
+  const incomeLimit = eligibilityDef.incomeLimit?.enum || [];
+  const county = eligibilityDef.counties?.items?.enum || [];
+  const channel = serviceDef.channels?.items?.enum || [];
+  const phonePattern = serviceDef.phone?.pattern ? new RegExp(serviceDef.phone.pattern) : null;
+
+  return { lifeEvent, taskType, audience, incomeLimit, county, channel, phonePattern };
+}
+
+// Keep only well-formed screener hints; returns null when nothing is left
+function sanitizeEligibility(eligibility, enums) {
+  if (!eligibility || typeof eligibility !== 'object' || Array.isArray(eligibility)) return null;
+
+  const cleaned = {};
+  if (enums.incomeLimit.includes(eligibility.incomeLimit)) cleaned.incomeLimit = eligibility.incomeLimit;
+  if (Number.isInteger(eligibility.minHouseholdSize) && eligibility.minHouseholdSize >= 1) {
+    cleaned.minHouseholdSize = eligibility.minHouseholdSize;
+  }
+  ['veteran', 'businessOwner', 'student'].forEach(key => {
+    if (typeof eligibility[key] === 'boolean') cleaned[key] = eligibility[key];
+  });
+  if (Array.isArray(eligibility.counties)) {
+    const counties = [...new Set(eligibility.counties.filter(c => enums.county.includes(c)))];
+    if (counties.length) cleaned.counties = counties;
+  }
+
+  return Object.keys(cleaned).length ? cleaned : null;
+}
+
+function ensureLocalized(obj) {
+  if (!obj || typeof obj !== 'object') return null;
+  if (typeof obj.en !== 'string' || typeof obj.es !== 'string') return null;
+  return { en: obj.en.trim(), es: obj.es.trim() };
+}
+
+function isFee(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Fees must be exactly one of free, a fixed amount, or a min/max range
+function sanitizeFees(fees) {
+  if (!fees || typeof fees !== 'object' || Array.isArray(fees)) return null;
+
+  let cleaned = null;
+  if (fees.free === true) {
+    cleaned = { free: true };
+  } else if (isFee(fees.amount)) {
+    cleaned = { amount: fees.amount };
+  } else if (isFee(fees.min) && isFee(fees.max) && fees.min <= fees.max) {
+    cleaned = fees.min === fees.max ? { amount: fees.min } : { min: fees.min, max: fees.max };
+  }
+  if (!cleaned) return null;
+
+  const note = ensureLocalized(fees.note);
+  if (note) cleaned.note = note;
+  return cleaned;
+}
+
+function sanitizeAccessibility(accessibility) {
+  if (!accessibility || typeof accessibility !== 'object' || Array.isArray(accessibility)) return null;
 
-  return { lifeEvent, taskType, audience };
+  const cleaned = {};
+  if (Array.isArray(accessibility.languages)) {
+    const languages = [...new Set(accessibility.languages
+      .filter(l => typeof l === 'string')
+      .map(l => l.trim().toLowerCase())
+      .filter(l => /^[a-z]{2}$/.test(l)))];
+    if (languages.length) cleaned.languages = languages;
+  }
+  if (typeof accessibility.interpretation === 'boolean') cleaned.interpretation = accessibility.interpretation;
+  const notes = ensureLocalized(accessibility.notes);
+  if (notes) cleaned.notes = notes;
+
+  return Object.keys(cleaned).length ? cleaned : null;
+}
+
+// Keep only well-formed "before you go" details; invalid fields are dropped
+function sanitizeServiceDetails(service, enums) {
+  const details = {
+    fees: sanitizeFees(service.fees),
+    estimatedTime: ensureLocalized(service.estimatedTime),
+    officeHours: ensureLocalized(service.officeHours),
+    accessibility: sanitizeAccessibility(service.accessibility),
+  };
+
+  if (Array.isArray(service.requiredDocuments)) {
+    const documents = service.requiredDocuments.map(ensureLocalized).filter(Boolean);
+    details.requiredDocuments = documents.length ? documents : null;
+  }
+  if (Array.isArray(service.channels)) {
+    const channels = [...new Set(service.channels.filter(c => enums.channel.includes(c)))];
+    details.channels = channels.length ? channels : null;
+  }
+  if (typeof service.phone === 'string') {
+    const phone = service.phone.trim();
+    details.phone = !enums.phonePattern || enums.phonePattern.test(phone) ? phone : null;
+  }
+  if (Array.isArray(service.accountsNeeded)) {
+    const accounts = [...new Set(service.accountsNeeded
+      .filter(a => typeof a === 'string')
+      .map(a => a.trim())
+      .filter(Boolean))];
+    details.accountsNeeded = accounts.length ? accounts : null;
+  }
+
+  return details;
 }
 
 function getKnownCategories(services) {
@@ -505,12 +544,6 @@ function sanitizeService(service, enums, known) {
 
   const cleaned = { ...service };
 
-  function ensureLocalized(obj) {
-    if (!obj || typeof obj !== 'object') return null;
-    if (typeof obj.en !== 'string' || typeof obj.es !== 'string') return null;
-    return { en: obj.en.trim(), es: obj.es.trim() };
-  }
-
   cleaned.name = ensureLocalized(cleaned.name);
   cleaned.description = ensureLocalized(cleaned.description);
   cleaned.department = ensureLocalized(cleaned.department);
@@ -533,15 +566,32 @@ function sanitizeService(service, enums, known) {
   cleaned.taskDetail = typeof cleaned.taskDetail === 'string' ? cleaned.taskDetail : null;
   cleaned.audienceDetail = typeof cleaned.audienceDetail === 'string' ? cleaned.audienceDetail : null;
 
-  if (!Array.isArray(cleaned.tags)) {
-    cleaned.tags = [];
+  const eligibility = sanitizeEligibility(cleaned.eligibility, enums);
+  if (eligibility) {
+    cleaned.eligibility = eligibility;
   } else {
-    cleaned.tags = cleaned.tags.filter(t => typeof t === 'string').map(t => t.trim()).filter(Boolean);
+    delete cleaned.eligibility;
   }
 
-  if (!cleaned.tags.length) {
+  ['addedAt', 'updatedAt'].forEach(key => {
+    if (typeof cleaned[key] !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(cleaned[key])) delete cleaned[key];
+  });
+
+  const details = sanitizeServiceDetails(cleaned, enums);
+  Object.entries(details).forEach(([key, value]) => {
+    if (value) {
+      cleaned[key] = value;
+    } else {
+      delete cleaned[key];
+    }
+  });
+
+  const tagTranslations = known.tagTranslations || {};
+  cleaned.tags = localizeTags(cleaned.tags, tagTranslations).tags;
+
+  if (!cleaned.tags.en.length) {
     const tokens = cleaned.name.en.toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 2);
-    cleaned.tags = [...new Set(tokens)].slice(0, 8);
+    cleaned.tags = localizeTags([...new Set(tokens)].slice(0, 8), tagTranslations).tags;
   }
 
   cleaned.icon = typeof cleaned.icon === 'string' ? cleaned.icon : null;
@@ -564,7 +614,7 @@ function computeServiceConfidence(service, signals) {
   if (service.lifeEvent) score += 0.1;
   if (service.taskType) score += 0.1;
   if (service.audience) score += 0.05;
-  if (service.tags && service.tags.length >= 3) score += 0.05;
+  if (service.tags && service.tags.en.length >= 3) score += 0.05;
   if (signals.hasDescription) score += 0.1;
   return Math.min(0.95, Math.max(0.1, score));
 }
@@ -575,6 +625,15 @@ function confidenceLabel(score) {
   return 'Low';
 }
 
+function summarizeHealth(health) {
+  return {
+    state: health.state,
+    consecutiveFailures: health.consecutiveFailures,
+    firstFailedAt: health.firstFailedAt,
+    lastOkAt: health.lastOkAt,
+  };
+}
+
 function formatRecoveryReason(candidate) {
   return `Crawl recovery (score ${candidate.score.toFixed(2)}, path ${candidate.pathScore.toFixed(2)}, title ${candidate.titleScore.toFixed(2)}, content ${candidate.contentScore.toFixed(2)})`;
 }
@@ -640,21 +699,6 @@ function bumpVersion(version, type) {
   return `${major}.${minor}.1`;
 }
 
-async function mapWithConcurrency(items, limit, fn) {
-  const results = new Array(items.length);
-  let index = 0;
-
-  const workers = new Array(limit).fill(0).map(async () => {
-    while (index < items.length) {
-      const current = index++;
-      results[current] = await fn(items[current], current);
-    }
-  });
-
-  await Promise.all(workers);
-  return results;
-}
-
 async function callCatalogWorker(payload, workerUrl, token) {
   const response = await fetch(workerUrl, {
     method: 'POST',
@@ -673,18 +717,39 @@ async function callCatalogWorker(payload, workerUrl, token) {
   return response.json();
 }
 
-async function attemptRepair(service, sitemapIndex, existingUrls, sitemapCache) {
-  const originalUrl = service.url;
+// A candidate URL is only used if it loads directly or through permanent
+// redirects that don't end on a login or home page
+function redirectIsSafe(redirect) {
+  return !redirect || redirect.kind === 'none' || redirect.safeToRepair;
+}
 
-  const result = await checkUrl(originalUrl);
+// Decide what to do with a checked link: follow a safe permanent redirect,
+// flag a redirect to the home page, or try URL variants and the sitemaps
+// for a broken one
+async function attemptRepair(service, result, sitemapIndex, existingUrls, sitemapCache) {
+  const originalUrl = service.url;
 
-  if (result.status === 'ok' && result.finalUrl && !isSuspiciousRedirect(originalUrl, result.finalUrl)) {
-    return {
-      status: 'repaired',
-      newUrl: result.finalUrl,
-      reason: 'Safe redirect to same base domain',
-      confidence: 0.9,
-    };
+  const redirect = result.redirect || classifyRedirects([]);
+  if (result.status === 'ok' && result.finalUrl && redirect.kind !== 'none') {
+    if (redirect.safeToRepair) {
+      return {
+        status: 'repaired',
+        newUrl: result.finalUrl,
+        reason: redirect.kind === 'protocol_upgrade' ? 'Permanent redirect to https' : 'Permanent redirect on the same site',
+        confidence: 0.9,
+        redirect,
+      };
+    }
+    // Landing on the home page usually means the page was taken down
+    if (redirect.flags.includes('to_domain_root')) {
+      return {
+        status: 'unresolved',
+        reason: 'Redirects to the site home page',
+        issue: { ...result, status: 'redirect_to_root', reason: `Redirects to the site home page (${result.finalUrl})` },
+      };
+    }
+    // Temporary redirects and login pages are left alone: the link still
+    // works, and where it lands can change or depend on being signed in
   }
 
   if (result.status === 'ok') {
@@ -760,7 +825,7 @@ async function attemptRepair(service, sitemapIndex, existingUrls, sitemapCache)
     const check = await checkUrl(candidate.url);
     if (check.status === 'ok') {
       const finalUrl = check.finalUrl || candidate.url;
-      if (isSuspiciousRedirect(candidate.url, finalUrl)) {
+      if (isSuspiciousRedirect(candidate.url, finalUrl) || !redirectIsSafe(check.redirect)) {
         continue;
       }
       return {
@@ -768,6 +833,7 @@ async function attemptRepair(service, sitemapIndex, existingUrls, sitemapCache)
         newUrl: finalUrl,
         reason: candidate.reason,
         confidence: candidate.confidence,
+        redirect: check.redirect,
       };
     }
   }
@@ -788,10 +854,11 @@ async function attemptRepair(service, sitemapIndex, existingUrls, sitemapCache)
     sitemapUrls = sitemapCache.get(baseDomain);
   } else if (baseDomain) {
     const host = new URL(originalUrl).hostname;
-    const roots = [
+    const roots = uniqueBy([
+      ...await robots.getSitemaps(originalUrl),
       `https://${host}/sitemap.xml`,
       `https://www.${host}/sitemap.xml`,
-    ];
+    ], normalizeUrl);
     const collected = [];
     for (const root of roots) {
       const urls = await fetchSitemap(root);
@@ -818,7 +885,7 @@ async function attemptRepair(service, sitemapIndex, existingUrls, sitemapCache)
       const check = await checkUrl(candidate.url);
       if (check.status === 'ok') {
         const finalUrl = check.finalUrl || candidate.url;
-        if (isSuspiciousRedirect(candidate.url, finalUrl)) {
+        if (isSuspiciousRedirect(candidate.url, finalUrl) || !redirectIsSafe(check.redirect)) {
           continue;
         }
         const confidence = Math.min(0.85, 0.55 + candidate.score * 0.4);
@@ -827,6 +894,7 @@ async function attemptRepair(service, sitemapIndex, existingUrls, sitemapCache)
           newUrl: finalUrl,
           reason: `Sitemap match (score ${candidate.score.toFixed(2)})`,
           confidence,
+          redirect: check.redirect,
         };
       }
     }
@@ -839,6 +907,22 @@ async function attemptRepair(service, sitemapIndex, existingUrls, sitemapCache)
   };
 }
 
+function historyLines(item) {
+  const lines = [];
+  if (item.firstFailedAt) {
+    lines.push(`  - Failing since: ${item.firstFailedAt} (${item.consecutiveFailures} run${item.consecutiveFailures === 1 ? '' : 's'} in a row)`);
+  }
+  if (item.state) {
+    lines.push(`  - Last OK: ${item.lastOkAt || 'never recorded'}`);
+  }
+  return lines;
+}
+
+function redirectLines(item) {
+  if (!item.redirectChain) return [];
+  return [`  - Redirect chain (${item.redirectKind.replace(/_/g, ' ')}): ${formatChain(item.redirectChain)}`];
+}
+
 function generateReport(changes, stats, mode) {
   const lines = [];
   lines.push('# Catalog Agent Report');
@@ -853,6 +937,18 @@ function generateReport(changes, stats, mode) {
   lines.push(`- Link repairs: ${changes.linkRepairs.length}`);
   lines.push(`- Crawl recovery suggestions: ${changes.crawlRecoverySuggestions.length}`);
   lines.push(`- Unresolved issues: ${changes.unresolved.length}`);
+  lines.push(`- Watching (failing, not escalated yet): ${changes.watching.length}`);
+  lines.push(`- Department link repairs: ${changes.departmentRepairs.length}`);
+  lines.push(`- Department link issues: ${changes.departmentIssues.length} unresolved, ${changes.departmentWatching.length} watching`);
+  lines.push(`- Pages changed since last run: ${changes.contentChanged.length}`);
+  if (changes.linkHealth) {
+    const counts = changes.linkHealth;
+    lines.push(`- Link states: ${counts.healthy} healthy, ${counts.degraded} degraded, ${counts.flaky} flaky, ${counts.dead} dead`);
+  }
+  lines.push(`- Skipped by robots.txt: ${changes.skippedByRobots.length}`);
+  if (changes.robotsSitemaps.length) {
+    lines.push(`- Sitemap roots found in robots.txt: ${changes.robotsSitemaps.length}`);
+  }
   lines.push('');
 
   const grouped = {
@@ -884,6 +980,7 @@ function generateReport(changes, stats, mode) {
         lines.push(`  - New URL: ${item.newUrl}`);
         lines.push(`  - Reason: ${item.reason}`);
         lines.push(`  - Confidence: ${item.confidence.toFixed(2)}`);
+        lines.push(...redirectLines(item));
       }
       lines.push('');
     }
@@ -937,6 +1034,83 @@ function generateReport(changes, stats, mode) {
       if (item.reason) {
         lines.push(`  - Details: ${item.reason}`);
       }
+      lines.push(...redirectLines(item));
+      lines.push(...historyLines(item));
+    }
+    lines.push('');
+  }
+
+  if (changes.watching.length) {
+    lines.push(`## Watching (Failed Fewer Than ${CONFIG.failureThreshold} Runs in a Row)`);
+    for (const item of changes.watching) {
+      lines.push(`- ID ${item.id}: ${item.name} (${item.state})`);
+      lines.push(`  - URL: ${item.url}`);
+      lines.push(`  - Issue: ${item.status}`);
+      if (item.reason) {
+        lines.push(`  - Details: ${item.reason}`);
+      }
+      lines.push(...redirectLines(item));
+      lines.push(...historyLines(item));
+    }
+    lines.push('');
+  }
+
+  if (changes.departmentRepairs.length) {
+    lines.push('## Department Link Repairs');
+    for (const item of changes.departmentRepairs) {
+      lines.push(`- ${item.department}`);
+      lines.push(`  - Old URL: ${item.oldUrl}`);
+      lines.push(`  - New URL: ${item.newUrl}`);
+      lines.push(`  - Reason: ${item.reason}`);
+      lines.push(`  - Confidence: ${item.confidence.toFixed(2)}`);
+      lines.push(`  - Services updated: ${item.serviceIds.join(', ')}`);
+      lines.push(...redirectLines(item));
+    }
+    lines.push('');
+  }
+
+  if (changes.departmentIssues.length || changes.departmentWatching.length) {
+    lines.push('## Department Link Issues');
+    for (const item of [...changes.departmentIssues, ...changes.departmentWatching]) {
+      const label = changes.departmentIssues.includes(item) ? 'needs review' : `watching, ${item.state}`;
+      lines.push(`- ${item.department} (${label})`);
+      lines.push(`  - URL: ${item.url}`);
+      lines.push(`  - Issue: ${item.status}`);
+      if (item.reason) {
+        lines.push(`  - Details: ${item.reason}`);
+      }
+      lines.push(`  - Used by services: ${item.serviceIds.join(', ')}`);
+      lines.push(...redirectLines(item));
+      lines.push(...historyLines(item));
+    }
+    lines.push('');
+  }
+
+  if (changes.contentChanged.length) {
+    lines.push('## Pages Changed Since Last Run');
+    lines.push('The page text changed; check that the name and description still fit.');
+    for (const item of changes.contentChanged) {
+      lines.push(`- ID ${item.id}: ${item.name}`);
+      lines.push(`  - URL: ${item.url}`);
+    }
+    lines.push('');
+  }
+
+  if (changes.skippedByRobots.length) {
+    lines.push('## Skipped by robots.txt');
+    for (const item of changes.skippedByRobots) {
+      lines.push(`- ${item.url}`);
+      lines.push(`  - Fetcher: ${item.source}`);
+      lines.push(`  - Reason: ${item.reason}`);
+    }
+    lines.push('');
+  }
+
+  if (changes.robotsSitemaps.length) {
+    lines.push('## Sitemap Roots Found in robots.txt');
+    lines.push('Not in CONFIG.sitemapRoots; consider adding the ones that proved useful.');
+    for (const url of changes.robotsSitemaps) {
+      lines.push(`- ${url}`);
     }
     lines.push('');
   }
@@ -954,6 +1128,7 @@ async function main() {
   const schemaRaw = fs.readFileSync(CONFIG.schemaPath, 'utf-8');
   const schema = JSON.parse(schemaRaw);
   const enums = parseSchemaEnums(schema);
+  const tagTranslations = loadTagTranslations();
 
   const existingUrls = new Set();
   const urlToServiceId = new Map();
@@ -1008,8 +1183,15 @@ async function main() {
     }
   }
 
+  let robotsSitemaps = [];
   if (args.mode === 'monthly') {
-    for (const root of CONFIG.sitemapRoots) {
+    const sitemapRoots = await collectSitemapRoots(catalog.services);
+    robotsSitemaps = sitemapRoots.fromRobots;
+    if (args.verbose && robotsSitemaps.length) {
+      console.error(`Found ${robotsSitemaps.length} extra sitemap roots in robots.txt`);
+    }
+
+    for (const root of sitemapRoots.roots) {
       const urls = await fetchSitemap(root);
       for (const url of urls) {
         try {
@@ -1032,20 +1214,83 @@ async function main() {
     crawlRecoverySuggestions: [],
     newServices: [],
     unresolved: [],
+    watching: [],
+    departmentRepairs: [],
+    departmentIssues: [],
+    departmentWatching: [],
+    departmentHealth: null,
+    contentChanged: [],
+    linkHealth: null,
+    skippedByRobots: [],
+    robotsSitemaps,
   };
 
   if (args.verbose) {
     console.error(`Checking ${catalog.services.length} catalog URLs...`);
   }
 
-  const linkResults = await mapWithConcurrency(catalog.services, CONFIG.linkConcurrency, async (service) => {
-    const result = await attemptRepair(service, sitemapIndex, existingUrls, sitemapCache);
-    return { service, result };
-  });
+  const checkedAt = new Date().toISOString();
+  const history = linkHealth.loadHistory(CONFIG.historyPath);
+  const historyIndex = linkHealth.indexHistory(history);
+  const runRecords = [];
+
+  // Check a service page or department homepage against its history and
+  // look for a replacement URL once it's worth repairing
+  async function checkLink(target) {
+    const check = await checkUrl(target.url);
+    const record = linkHealth.toRecord(target, check, { source: 'catalog-agent', checkedAt });
+    runRecords.push(record);
+    const health = linkHealth.assessService(target, record, historyIndex, { failureThreshold: CONFIG.failureThreshold });
+
+    // A timeout or connection error may clear up by itself, so don't go
+    // looking for a replacement URL until it has failed enough runs in a row
+    if ((check.status === 'timeout' || check.status === 'error') && !health.escalated) {
+      return { check, health, result: { status: 'watching', issue: check } };
+    }
+
+    // A link that loads but redirects somewhere questionable goes straight
+    // to review; only failing links wait for the history to escalate them
+    const result = await attemptRepair(target, check, sitemapIndex, existingUrls, sitemapCache);
+    if (result.status === 'unresolved' && !health.escalated && check.status !== 'ok') {
+      return { check, health, result: { ...result, status: 'watching' } };
+    }
+    return { check, health, result };
+  }
+
+  const linkResults = await mapWithConcurrency(catalog.services, CONFIG.linkConcurrency, async (service) => ({
+    service,
+    ...await checkLink(service),
+  }));
+
+  // Pages whose text changed since the last run may have been rewritten
+  // in a way the catalog description no longer matches
+  for (const { service, check } of linkResults) {
+    if (check.status !== 'ok' || check.contentChanged !== true) continue;
+    changes.contentChanged.push({
+      id: service.id,
+      name: service.name?.en || 'Unknown',
+      url: service.url,
+    });
+  }
+  if (args.verbose && changes.contentChanged.length) {
+    console.error(`${changes.contentChanged.length} service pages changed since the last run`);
+  }
+
+  changes.linkHealth = linkHealth.countStates(linkResults.map(entry => entry.health));
 
   for (const entry of linkResults) {
-    const { service, result } = entry;
-    if (result.status === 'repaired') {
+    const { service, result, health } = entry;
+    if (result.status === 'watching') {
+      changes.watching.push({
+        id: service.id,
+        name: service.name?.en || 'Unknown',
+        url: service.url,
+        status: result.issue?.status || result.reason || 'unknown',
+        reason: result.issue?.reason || result.reason,
+        ...redirectFields(result.issue?.redirect),
+        ...summarizeHealth(health),
+      });
+    } else if (result.status === 'repaired') {
       const normalizedNew = normalizeUrl(result.newUrl);
       const existingId = urlToServiceId.get(normalizedNew);
       if (existingId && existingId !== service.id) {
@@ -1061,6 +1306,7 @@ async function main() {
 
       const oldUrl = service.url;
       service.url = result.newUrl;
+      service.updatedAt = todayISO();
       existingUrls.add(normalizeUrl(result.newUrl));
       urlToServiceId.delete(normalizeUrl(oldUrl));
       urlToServiceId.set(normalizedNew, service.id);
@@ -1072,6 +1318,7 @@ async function main() {
         newUrl: result.newUrl,
         reason: result.reason,
         confidence: result.confidence,
+        ...redirectFields(result.redirect),
       });
     } else if (result.status === 'unresolved') {
       changes.unresolved.push({
@@ -1080,10 +1327,72 @@ async function main() {
         url: service.url,
         status: result.issue?.status || result.reason || 'unknown',
         reason: result.issue?.reason || result.reason,
+        ...redirectFields(result.issue?.redirect),
+        ...summarizeHealth(health),
+      });
+    }
+  }
+
+  // Department homepages are shared by many services, so each distinct
+  // departmentUrl is checked once and a repair is applied to every service
+  // that links to it
+  const departmentLinks = linkHealth.collectDepartmentUrls(catalog.services);
+  if (args.verbose) {
+    console.error(`Checking ${departmentLinks.length} department URLs...`);
+  }
+
+  const departmentResults = await mapWithConcurrency(departmentLinks, CONFIG.linkConcurrency, async (department) => ({
+    department,
+    ...await checkLink(department),
+  }));
+
+  changes.departmentHealth = linkHealth.countStates(departmentResults.map(entry => entry.health));
+
+  for (const { department, result, health } of departmentResults) {
+    const item = {
+      department: department.department || 'Unknown',
+      url: department.url,
+      serviceIds: department.serviceIds,
+    };
+
+    if (result.status === 'watching' || result.status === 'unresolved') {
+      const list = result.status === 'watching' ? changes.departmentWatching : changes.departmentIssues;
+      list.push({
+        ...item,
+        status: result.issue?.status || result.reason || 'unknown',
+        reason: result.issue?.reason || result.reason,
+        ...redirectFields(result.issue?.redirect),
+        ...summarizeHealth(health),
+      });
+    } else if (result.status === 'repaired') {
+      const oldUrl = department.url;
+      // updatedAt is left alone: the service itself didn't change, only the
+      // link to its department's homepage
+      for (const service of catalog.services) {
+        if (service.departmentUrl === oldUrl) service.departmentUrl = result.newUrl;
+      }
+      for (const known of departmentsByName.values()) {
+        if (known.url === oldUrl) known.url = result.newUrl;
+      }
+      existingUrls.add(normalizeUrl(result.newUrl));
+
+      changes.departmentRepairs.push({
+        department: item.department,
+        serviceIds: item.serviceIds,
+        oldUrl,
+        newUrl: result.newUrl,
+        reason: result.reason,
+        confidence: result.confidence,
+        ...redirectFields(result.redirect),
       });
     }
   }
 
+  if (!args.dryRun) {
+    linkHealth.saveHistory(CONFIG.historyPath, [...history, ...runRecords]);
+    pageCache.save();
+  }
+
   if (args.crawlRecovery && crawlRecoveryIndex && crawlRecoveryIndex.records.length) {
     const remainingUnresolved = [];
 
@@ -1111,6 +1420,7 @@ async function main() {
       if (recovery.autoApply && (!existingId || existingId === service.id)) {
         const oldUrl = service.url;
         service.url = best.url;
+        service.updatedAt = todayISO();
         existingUrls.add(normalizedNew);
         urlToServiceId.delete(normalizeUrl(oldUrl));
         urlToServiceId.set(normalizedNew, service.id);
@@ -1226,7 +1536,7 @@ async function main() {
         continue;
       }
 
-      const known = { departmentsByName };
+      const known = { departmentsByName, tagTranslations };
       const service = sanitizeService({ ...response.service, url: candidate.url }, enums, known);
       if (!service) {
         continue;
@@ -1246,6 +1556,7 @@ async function main() {
       });
 
       service.id = nextId++;
+      service.addedAt = todayISO();
       catalog.services.push(service);
       existingUrls.add(normalized);
       urlToServiceId.set(normalized, service.id);
@@ -1262,11 +1573,16 @@ async function main() {
     }
   }
 
+  changes.skippedByRobots = robots.getSkipped();
+
   const beforeCount = catalog.serviceCount || catalog.services.length;
   const afterCount = catalog.services.length;
 
-  const hasCatalogChanges = changes.linkRepairs.length || changes.newServices.length;
-  const hasReportChanges = hasCatalogChanges || changes.unresolved.length || changes.crawlRecoverySuggestions.length;
+  const hasCatalogChanges = changes.linkRepairs.length || changes.departmentRepairs.length || changes.newServices.length;
+  // Changed pages count too: the page cache saved above already holds the
+  // new content hashes, so the next run won't see these changes again
+  const hasReportChanges = hasCatalogChanges || changes.unresolved.length || changes.departmentIssues.length
+    || changes.crawlRecoverySuggestions.length || changes.contentChanged.length;
 
   if (hasCatalogChanges) {
     const bumpType = changes.newServices.length ? 'minor' : 'patch';
@@ -1297,11 +1613,26 @@ async function main() {
         linkRepairs: changes.linkRepairs.length,
         crawlRecoverySuggestions: changes.crawlRecoverySuggestions.length,
         unresolved: changes.unresolved.length,
+        watching: changes.watching.length,
+        departmentRepairs: changes.departmentRepairs.length,
+        departmentIssues: changes.departmentIssues.length,
+        departmentWatching: changes.departmentWatching.length,
+        contentChanged: changes.contentChanged.length,
+        linkHealth: changes.linkHealth,
+        departmentHealth: changes.departmentHealth,
+        skippedByRobots: changes.skippedByRobots.length,
       },
       linkRepairs: changes.linkRepairs,
       crawlRecoverySuggestions: changes.crawlRecoverySuggestions,
       newServices: changes.newServices,
       unresolved: changes.unresolved,
+      watching: changes.watching,
+      departmentRepairs: changes.departmentRepairs,
+      departmentIssues: changes.departmentIssues,
+      departmentWatching: changes.departmentWatching,
+      contentChanged: changes.contentChanged,
+      skippedByRobots: changes.skippedByRobots,
+      robotsSitemaps: changes.robotsSitemaps,
     };
 
     fs.writeFileSync(reportJsonPath, JSON.stringify(jsonReport, null, 2) + '\n');
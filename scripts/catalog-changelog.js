@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+/**
+ * Catalog Changelog
+ *
+ * Diffs two catalog snapshots field by field and keeps a version history of
+ * the catalog in catalog-changelog.json (for the app) and
+ * catalog-changelog.md (for people).
+ *
+ * A snapshot is either a file path or a git revision. A bare revision such
+ * as HEAD~3 or a tag reads service-catalog-v8.json at that revision;
+ * <rev>:<path> reads another file.
+ *
+ * Changes are grouped as added and removed services, URL changes, English
+ * text edits, translation edits (Spanish only), taxonomy reclassifications,
+ * tag changes and other details (eligibility, fees, icon, featured, ...).
+ *
+ * Modes:
+ *   (default)   Print the diff between --from and --to as Markdown (or --json)
+ *   --record    Add or replace the history entry for the --to version
+ *   --rebuild   Rebuild the whole history from the git log of the catalog
+ *
+ * Usage:
+ *   node scripts/catalog-changelog.js [--from <file|rev>] [--to <file|rev>] [--json]
+ *   node scripts/catalog-changelog.js --record [--from <file|rev>] [--to <file|rev>]
+ *   node scripts/catalog-changelog.js --rebuild
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+const CONFIG = {
+  catalogPath: path.join(ROOT, 'service-catalog-v8.json'),
+  catalogGitPath: 'service-catalog-v8.json',
+  historyPath: path.join(ROOT, 'catalog-changelog.json'),
+  markdownPath: path.join(ROOT, 'catalog-changelog.md'),
+  maxMarkdownItems: 25,
+};
+
+const URL_FIELDS = ['url', 'departmentUrl'];
+const TEXT_FIELDS = ['name', 'description', 'department'];
+const TAXONOMY_FIELDS = ['category', 'subcategory', 'lifeEvent', 'lifeEventDetail', 'taskType', 'taskDetail', 'audience', 'audienceDetail'];
+// addedAt/updatedAt only restate the change itself
+const IGNORED_FIELDS = ['id', 'addedAt', 'updatedAt'];
+
+const CHANGE_TYPES = ['url', 'text', 'translation', 'taxonomy', 'tags', 'details'];
+
+const SECTION_TITLES = {
+  added: 'Added services',
+  removed: 'Removed services',
+  url: 'URL changes',
+  text: 'Text edits',
+  translation: 'Translation edits',
+  taxonomy: 'Taxonomy changes',
+  tags: 'Tag changes',
+  details: 'Other details',
+};
+
+function parseArgs(argv) {
+  const args = {
+    from: 'HEAD',
+    to: CONFIG.catalogPath,
+    json: false,
+    record: false,
+    rebuild: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from') {
+      args.from = argv[++i];
+    } else if (arg === '--to') {
+      args.to = argv[++i];
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--record') {
+      args.record = true;
+    } else if (arg === '--rebuild') {
+      args.rebuild = true;
+    }
+  }
+
+  return args;
+}
+
+function git(args) {
+  return execFileSync('git', args, {
+    cwd: ROOT,
+    encoding: 'utf-8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+function loadSnapshot(spec) {
+  if (fs.existsSync(spec)) {
+    return JSON.parse(fs.readFileSync(spec, 'utf-8'));
+  }
+  const objectPath = spec.includes(':') ? spec : `${spec}:${CONFIG.catalogGitPath}`;
+  try {
+    return JSON.parse(git(['show', objectPath]));
+  } catch (error) {
+    throw new Error(`Could not read snapshot "${spec}" as a file or git revision`);
+  }
+}
+
+function isLocalized(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function serviceName(service) {
+  if (isLocalized(service.name)) return { en: service.name.en, es: service.name.es };
+  return { en: service.name, es: service.name };
+}
+
+function tagList(tags, lang) {
+  if (Array.isArray(tags)) return lang === 'en' ? tags : [];
+  return isLocalized(tags) && Array.isArray(tags[lang]) ? tags[lang] : [];
+}
+
+function diffTags(before, after) {
+  const result = {};
+  for (const lang of ['en', 'es']) {
+    const oldTags = new Set(tagList(before, lang));
+    const newTags = new Set(tagList(after, lang));
+    const added = [...newTags].filter(tag => !oldTags.has(tag));
+    const removed = [...oldTags].filter(tag => !newTags.has(tag));
+    if (added.length || removed.length) result[lang] = { added, removed };
+  }
+  return result;
+}
+
+// One entry per changed field (or per language for localized text)
+function diffService(before, after) {
+  const changes = [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field) || sameValue(before[field], after[field])) continue;
+    const oldValue = before[field] ?? null;
+    const newValue = after[field] ?? null;
+
+    if (field === 'tags') {
+      changes.push({ type: 'tags', field, ...diffTags(oldValue, newValue) });
+    } else if (URL_FIELDS.includes(field)) {
+      changes.push({ type: 'url', field, before: oldValue, after: newValue });
+    } else if ((TEXT_FIELDS.includes(field) || field === 'category') && (isLocalized(oldValue) || isLocalized(newValue))) {
+      const oldText = isLocalized(oldValue) ? oldValue : { en: oldValue };
+      const newText = isLocalized(newValue) ? newValue : { en: newValue };
+      for (const lang of new Set([...Object.keys(oldText), ...Object.keys(newText)])) {
+        if (sameValue(oldText[lang], newText[lang])) continue;
+        const type = lang !== 'en' ? 'translation' : field === 'category' ? 'taxonomy' : 'text';
+        changes.push({ type, field: `${field}.${lang}`, before: oldText[lang] ?? null, after: newText[lang] ?? null });
+      }
+    } else if (TEXT_FIELDS.includes(field)) {
+      changes.push({ type: 'text', field, before: oldValue, after: newValue });
+    } else if (TAXONOMY_FIELDS.includes(field)) {
+      changes.push({ type: 'taxonomy', field, before: oldValue, after: newValue });
+    } else {
+      changes.push({ type: 'details', field, before: oldValue, after: newValue });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare two catalogs. Services are matched by id. Returns a changelog
+ * entry: versions, date, counts per change type, and the individual changes.
+ */
+function diffCatalogs(before, after) {
+  const oldById = new Map((before.services || []).map(service => [service.id, service]));
+  const newById = new Map((after.services || []).map(service => [service.id, service]));
+
+  const added = [];
+  const removed = [];
+  const changes = [];
+
+  for (const [id, service] of newById) {
+    const previous = oldById.get(id);
+    if (!previous) {
+      added.push({ id, name: serviceName(service), url: service.url });
+      continue;
+    }
+    diffService(previous, service).forEach(change => {
+      changes.push({ id, name: serviceName(service), ...change });
+    });
+  }
+
+  for (const [id, service] of oldById) {
+    if (!newById.has(id)) removed.push({ id, name: serviceName(service), url: service.url });
+  }
+
+  const summary = { added: added.length, removed: removed.length };
+  CHANGE_TYPES.forEach(type => {
+    summary[type] = changes.filter(change => change.type === type).length;
+  });
+
+  return {
+    version: after.version,
+    previousVersion: before.version,
+    date: after.lastUpdated || null,
+    summary,
+    added,
+    removed,
+    changes,
+  };
+}
+
+// The oldest version in the history has nothing to compare against
+function initialEntry(catalog) {
+  const entry = diffCatalogs(catalog, catalog);
+  return { ...entry, previousVersion: null };
+}
+
+function hasChanges(entry) {
+  return Object.values(entry.summary).some(count => count > 0);
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '(none)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}…` : text;
+}
+
+function formatChange(change) {
+  const label = `ID ${change.id} ${change.name.en}`;
+  if (change.type === 'tags') {
+    const parts = ['en', 'es'].filter(lang => change[lang]).map(lang => {
+      const { added, removed } = change[lang];
+      const bits = [];
+      if (added.length) bits.push(`+${added.join(', +')}`);
+      if (removed.length) bits.push(`-${removed.join(', -')}`);
+      return `${lang}: ${bits.join(' ')}`;
+    });
+    return `${label}: ${parts.join('; ')}`;
+  }
+  if (change.type === 'text' || change.type === 'translation') {
+    return `${label}: ${change.field} edited`;
+  }
+  return `${label}: ${change.field} ${formatValue(change.before)} → ${formatValue(change.after)}`;
+}
+
+function renderList(lines, items, format) {
+  items.slice(0, CONFIG.maxMarkdownItems).forEach(item => lines.push(`- ${format(item)}`));
+  if (items.length > CONFIG.maxMarkdownItems) {
+    lines.push(`- …and ${items.length - CONFIG.maxMarkdownItems} more`);
+  }
+}
+
+function renderEntryMarkdown(entry, headingLevel = 2) {
+  const hashes = '#'.repeat(headingLevel);
+  const lines = [];
+  lines.push(`${hashes} ${entry.version}${entry.date ? ` (${entry.date})` : ''}`);
+  lines.push('');
+
+  if (!entry.previousVersion) {
+    lines.push('First recorded version.');
+    lines.push('');
+    return lines;
+  }
+
+  lines.push(`Changes since ${entry.previousVersion}.`);
+  lines.push('');
+
+  if (!hasChanges(entry)) {
+    lines.push('No service changes.');
+    lines.push('');
+    return lines;
+  }
+
+  const sections = [
+    ['added', entry.added, item => `ID ${item.id} ${item.name.en}`],
+    ['removed', entry.removed, item => `ID ${item.id} ${item.name.en}`],
+    ...CHANGE_TYPES.map(type => [type, entry.changes.filter(change => change.type === type), formatChange]),
+  ];
+
+  for (const [key, items, format] of sections) {
+    if (!items.length) continue;
+    lines.push(`${hashes}# ${SECTION_TITLES[key]} (${items.length})`);
+    renderList(lines, items, format);
+    lines.push('');
+  }
+
+  return lines;
+}
+
+function renderHistoryMarkdown(history) {
+  const lines = [
+    '# Catalog Changelog',
+    '',
+    'Changes to service-catalog-v8.json by catalog version, newest first. Generated by scripts/catalog-changelog.js; do not edit by hand.',
+    '',
+  ];
+  history.entries.forEach(entry => lines.push(...renderEntryMarkdown(entry)));
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function loadHistory(filePath = CONFIG.historyPath) {
+  if (!fs.existsSync(filePath)) return { entries: [] };
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Entries are keyed by version; recording a version again replaces it
+function addEntry(history, entry) {
+  const entries = history.entries.filter(existing => existing.version !== entry.version);
+  entries.push(entry);
+  entries.sort((a, b) => compareVersions(b.version, a.version));
+  return { ...history, entries };
+}
+
+function writeHistory(history) {
+  fs.writeFileSync(CONFIG.historyPath, JSON.stringify(history, null, 2) + '\n');
+  fs.writeFileSync(CONFIG.markdownPath, renderHistoryMarkdown(history));
+}
+
+/**
+ * Walk the git log of the catalog and build one entry per catalog version,
+ * diffing the last commit of each version against the last commit of the
+ * version before it.
+ */
+function buildHistoryFromGit() {
+  const commits = git(['log', '--format=%H', '--reverse', '--', CONFIG.catalogGitPath])
+    .split('\n')
+    .filter(Boolean);
+
+  const snapshots = [];
+  for (const commit of commits) {
+    const catalog = loadSnapshot(`${commit}:${CONFIG.catalogGitPath}`);
+    const last = snapshots[snapshots.length - 1];
+    if (last && last.catalog.version === catalog.version) {
+      last.catalog = catalog;
+    } else {
+      snapshots.push({ catalog });
+    }
+  }
+
+  let history = { entries: [] };
+  snapshots.forEach((snapshot, index) => {
+    const entry = index === 0
+      ? initialEntry(snapshot.catalog)
+      : diffCatalogs(snapshots[index - 1].catalog, snapshot.catalog);
+    history = addEntry(history, entry);
+  });
+
+  return history;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.rebuild) {
+    let history;
+    try {
+      history = buildHistoryFromGit();
+    } catch (error) {
+      console.error(`Failed to rebuild history: ${error.message}`);
+      process.exit(1);
+    }
+    writeHistory(history);
+    console.log(`Rebuilt ${history.entries.length} versions into ${CONFIG.historyPath} and ${CONFIG.markdownPath}`);
+    return;
+  }
+
+  let before;
+  let after;
+  try {
+    before = loadSnapshot(args.from);
+    after = loadSnapshot(args.to);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const entry = diffCatalogs(before, after);
+
+  if (args.record) {
+    if (entry.version === entry.previousVersion) {
+      console.log(`Catalog version is still ${entry.version}; nothing recorded.`);
+      if (hasChanges(entry)) {
+        console.error('Warning: services changed without a version bump.');
+      }
+      return;
+    }
+    writeHistory(addEntry(loadHistory(), entry));
+    console.log(`Recorded ${entry.previousVersion} → ${entry.version} in ${CONFIG.historyPath}`);
+    return;
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(entry, null, 2));
+  } else {
+    console.log(renderEntryMarkdown(entry, 1).join('\n').trimEnd());
+  }
+}
+
+module.exports = {
+  loadSnapshot,
+  diffService,
+  diffCatalogs,
+  addEntry,
+  renderEntryMarkdown,
+  renderHistoryMarkdown,
+  buildHistoryFromGit,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -8,252 +8,175 @@
  * - Suspicious redirects (final domain differs significantly from original)
  * - Timeouts and connection errors
  *
- * Usage: node scripts/check-links.js [--json] [--verbose]
+ * Each distinct departmentUrl is checked once as well (several services
+ * usually share one) and reported in its own section.
+ *
+ * Each run is added to the link-health history (reports/link-health.jsonl).
+ * A link is only escalated once it has failed CONFIG.failureThreshold runs
+ * in a row; newer failures and flaky links are listed as "watching".
+ * --no-history skips the history and escalates every failure.
+ *
+ * Page downloads go through the conditional-request cache in .cache/, so
+ * pages that haven't changed since the last run skip soft-404 analysis;
+ * the pages whose text did change are counted in the summary.
+ *
+ * Reports are written with --format <name>[=<file>], which can be repeated;
+ * formats are markdown (the default), json, junit, sarif, csv and ndjson
+ * (one line per link as it's checked). A format without a file goes to
+ * stdout, and --json is short for --format json. The exit code is 1 when an
+ * escalated link has a status listed in --fail-on (default
+ * broken,soft_404,redirect_suspicious; also timeout, error, any or none).
+ *
+ * Soft 404s are scored by scripts/lib/soft404.js. --replay-fixtures runs
+ * the detector over the saved pages in scripts/fixtures/soft404/ and
+ * exits 1 if any verdict differs from the expected one.
+ *
+ * Usage: node scripts/check-links.js [--format <name>[=<file>]]... [--fail-on <statuses>]
+ *        [--json] [--verbose] [--no-history]
+ *        node scripts/check-links.js --replay-fixtures [--verbose]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { createHttpClient, classifyError, describeError, mapWithConcurrency } = require('./lib/http');
+const { createRobotsCache } = require('./lib/robots');
+const linkHealth = require('./lib/link-health');
+const { createHttpCache, createPageChecker } = require('./lib/http-cache');
+const { createSoft404Detector } = require('./lib/soft404');
+const { classifyRedirects, formatChain, isSuspiciousRedirect, redirectFields } = require('./lib/redirects');
+const reporters = require('./lib/link-reporters');
 
 // Configuration
 const CONFIG = {
   catalogPath: path.join(__dirname, '..', 'service-catalog-v8.json'),
   timeout: 15000,
-  concurrency: 5, // Be nice to government servers
+  concurrency: 5,
+  retries: 2,
+  hostRate: { perSecond: 2, burst: 2 }, // Be nice to government servers
   userAgent: 'Colorado-Service-Navigator-LinkChecker/1.0 (https://github.com/bntcurtis)',
-
-  // Phrases that indicate a soft 404 (page exists but content is gone)
-  soft404Patterns: [
-    /page\s+(not\s+found|doesn't\s+exist|does\s+not\s+exist|has\s+been\s+removed)/i,
-    /404\s*(error|page)?/i,
-    /content\s+(not\s+found|unavailable|has\s+moved)/i,
-    /this\s+page\s+(no\s+longer|is\s+no\s+longer|cannot\s+be\s+found)/i,
-    /we\s+(couldn't|could\s+not|can't)\s+find/i,
-    /the\s+requested\s+(page|resource|url)\s+(was\s+not|could\s+not|cannot)/i,
-    /sorry.*?(not\s+found|doesn't\s+exist|no\s+longer\s+available)/i,
-    /has\s+been\s+(moved|deleted|removed|archived)/i,
-    /looking\s+for\s+something\?/i,
-    /oops|uh\s*oh/i,
-  ],
-
-  // Title patterns that suggest a 404 page
-  soft404TitlePatterns: [
-    /404/i,
-    /not\s+found/i,
-    /page\s+missing/i,
-    /error/i,
-  ],
+  historyPath: linkHealth.DEFAULTS.historyPath,
+  failureThreshold: linkHealth.DEFAULTS.failureThreshold,
+  // Escalated links with these statuses fail the run; timeouts and
+  // connection errors are usually the server's problem, not the catalog's
+  failOn: ['broken', 'soft_404', 'redirect_suspicious'],
+  // Saved pages with expected soft-404 verdicts, for --replay-fixtures
+  fixturesDir: path.join(__dirname, 'fixtures', 'soft404'),
 };
 
 // Parse command line args
 const args = process.argv.slice(2);
-const outputJson = args.includes('--json');
 const verbose = args.includes('--verbose');
-
-/**
- * Extract the registrable domain (e.g., "colorado.gov" from "dmv.colorado.gov")
- */
-function getBaseDomain(hostname) {
-  const parts = hostname.split('.');
-  // Handle .co.us, .state.co.us patterns common in government sites
-  if (parts.length >= 3) {
-    const lastThree = parts.slice(-3).join('.');
-    if (lastThree.match(/\.(state\.co\.us|co\.us)$/)) {
-      return parts.slice(-4).join('.');
-    }
-  }
-  // Standard TLDs: return last two parts
-  return parts.slice(-2).join('.');
-}
-
-/**
- * Check if a redirect is suspicious (went to a completely different site)
- */
-function isSuspiciousRedirect(originalUrl, finalUrl) {
-  try {
-    const originalHost = new URL(originalUrl).hostname;
-    const finalHost = new URL(finalUrl).hostname;
-
-    // Same host is fine
-    if (originalHost === finalHost) return false;
-
-    // Same base domain is fine (dmv.colorado.gov -> www.colorado.gov)
-    const originalBase = getBaseDomain(originalHost);
-    const finalBase = getBaseDomain(finalHost);
-    if (originalBase === finalBase) return false;
-
-    // Different base domain - this is suspicious
-    return true;
-  } catch {
-    return true;
-  }
-}
-
-/**
- * Check page content for soft 404 indicators
- */
-function detectSoft404(html, title) {
-  // Check title first (more reliable)
-  if (title) {
-    for (const pattern of CONFIG.soft404TitlePatterns) {
-      if (pattern.test(title)) {
-        return { detected: true, reason: `Title contains 404 indicator: "${title}"` };
-      }
-    }
+const replayFixtures = args.includes('--replay-fixtures');
+const outputs = [];
+args.forEach((arg, i) => {
+  if (arg === '--json') {
+    outputs.push({ format: 'json', file: null });
+  } else if (arg === '--format' && args[i + 1]) {
+    const [format, ...file] = args[i + 1].split('=');
+    outputs.push({ format, file: file.join('=') || null });
   }
-
-  // Check body content - only the first 10KB to avoid false positives from long pages
-  const contentSample = html.slice(0, 10000);
-
-  for (const pattern of CONFIG.soft404Patterns) {
-    const match = contentSample.match(pattern);
-    if (match) {
-      return { detected: true, reason: `Content contains: "${match[0]}"` };
-    }
-  }
-
-  return { detected: false };
-}
-
-/**
- * Extract <title> from HTML
- */
-function extractTitle(html) {
-  const match = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-  return match ? match[1].trim() : null;
+});
+if (!outputs.some(output => !output.file)) {
+  outputs.unshift({ format: 'markdown', file: null });
 }
+// Progress messages only accompany the Markdown report on stdout
+const quiet = outputs.find(output => !output.file).format !== 'markdown';
+const failOnArg = args.indexOf('--fail-on');
+const failOnValue = failOnArg !== -1 && !String(args[failOnArg + 1] || '').startsWith('--') ? args[failOnArg + 1] : null;
+const failOnNames = failOnArg !== -1 ? String(failOnValue || '').split(',').filter(Boolean) : CONFIG.failOn;
+// A bare --fail-on would otherwise mean "never fail"; that takes --fail-on none
+const failOnMissing = failOnArg !== -1 && failOnNames.length === 0;
+const failOn = new Set(failOnNames.includes('any') ? reporters.STATUSES : failOnNames.filter(name => name !== 'none'));
+const useHistory = !args.includes('--no-history');
+// Without history every failure is escalated, as before
+const failureThreshold = useHistory ? CONFIG.failureThreshold : 1;
+
+const http = createHttpClient({
+  userAgent: CONFIG.userAgent,
+  timeout: CONFIG.timeout,
+  retries: CONFIG.retries,
+  hostRate: CONFIG.hostRate,
+});
+const robots = createRobotsCache({ http, userAgent: CONFIG.userAgent });
+const pageCache = createHttpCache({ name: 'check-links' });
+const soft404Detector = createSoft404Detector({ http });
+const pageChecker = createPageChecker({ http, cache: pageCache, detector: soft404Detector });
 
 /**
  * Check a single URL
  */
-async function checkUrl(service) {
-  const url = service.url;
+async function checkUrl(url) {
   const startTime = Date.now();
 
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
-
-    // First, do a HEAD request to check status quickly
-    const headResponse = await fetch(url, {
-      method: 'HEAD',
-      signal: controller.signal,
-      redirect: 'follow',
-      headers: { 'User-Agent': CONFIG.userAgent },
-    });
-
-    clearTimeout(timeoutId);
+    // Catalog links are checked like a visitor following them, so robots.txt
+    // Disallow rules don't apply, but the host's Crawl-delay does
+    await robots.load(url);
+
+    // HEAD first to check status quickly, GET if the server rejects HEAD
+    const { response, method, finalUrl, chain } = await http.headOrGet(url);
+    const redirect = classifyRedirects(chain);
     const elapsed = Date.now() - startTime;
-    const finalUrl = headResponse.url;
 
     // Check for HTTP errors
-    if (!headResponse.ok) {
+    if (!response.ok) {
       return {
-        service,
         status: 'broken',
-        httpStatus: headResponse.status,
-        reason: `HTTP ${headResponse.status}`,
+        httpStatus: response.status,
+        reason: `HTTP ${response.status}`,
         elapsed,
         finalUrl,
+        redirect,
       };
     }
 
     // Check for suspicious redirects
     if (isSuspiciousRedirect(url, finalUrl)) {
       return {
-        service,
         status: 'redirect_suspicious',
-        httpStatus: headResponse.status,
+        httpStatus: response.status,
         reason: `Redirected to different domain`,
         originalUrl: url,
         finalUrl,
+        redirect,
         elapsed,
       };
     }
 
-    // For 200 responses, fetch the body to check for soft 404s
-    // But only if it's HTML
-    const contentType = headResponse.headers.get('content-type') || '';
-    if (contentType.includes('text/html')) {
-      const controller2 = new AbortController();
-      const timeoutId2 = setTimeout(() => controller2.abort(), CONFIG.timeout);
-
-      const getResponse = await fetch(finalUrl, {
-        method: 'GET',
-        signal: controller2.signal,
-        headers: { 'User-Agent': CONFIG.userAgent },
-      });
-
-      clearTimeout(timeoutId2);
-
-      const html = await getResponse.text();
-      const title = extractTitle(html);
-      const soft404 = detectSoft404(html, title);
-
-      if (soft404.detected) {
-        return {
-          service,
-          status: 'soft_404',
-          httpStatus: headResponse.status,
-          reason: soft404.reason,
-          finalUrl,
-          elapsed: Date.now() - startTime,
-        };
-      }
-    }
-
-    // All checks passed
-    return {
-      service,
-      status: 'ok',
-      httpStatus: headResponse.status,
-      finalUrl: finalUrl !== url ? finalUrl : undefined,
-      elapsed,
-    };
+    // For 2xx responses, check HTML pages for soft 404s
+    return await pageChecker.check(url, { response, method, finalUrl, redirect, elapsed });
 
   } catch (error) {
-    const elapsed = Date.now() - startTime;
-
-    if (error.name === 'AbortError') {
-      return {
-        service,
-        status: 'timeout',
-        reason: `Request timed out after ${CONFIG.timeout}ms`,
-        elapsed,
-      };
-    }
-
+    const kind = classifyError(error);
     return {
-      service,
-      status: 'error',
-      reason: error.message,
-      elapsed,
+      status: kind === 'timeout' ? 'timeout' : 'error',
+      errorKind: kind,
+      reason: describeError(error),
+      elapsed: Date.now() - startTime,
     };
   }
 }
 
 /**
- * Process URLs in batches to respect rate limits
+ * Check every URL with a small worker pool; the HTTP client's per-host
+ * rate limit keeps any one agency server from being hammered. `key` names
+ * the field the item is kept under in each result ('service' or
+ * 'department'); onResult sees each result as soon as it's checked.
  */
-async function checkAllUrls(services) {
-  const results = [];
-
-  for (let i = 0; i < services.length; i += CONFIG.concurrency) {
-    const batch = services.slice(i, i + CONFIG.concurrency);
-    const batchResults = await Promise.all(batch.map(checkUrl));
-    results.push(...batchResults);
-
-    if (verbose && !outputJson) {
-      const progress = Math.round(((i + batch.length) / services.length) * 100);
-      process.stderr.write(`\rProgress: ${progress}% (${i + batch.length}/${services.length})`);
+async function checkAllUrls(items, key = 'service', onResult = () => {}) {
+  const showProgress = verbose && !quiet;
+  const results = await mapWithConcurrency(items, CONFIG.concurrency, async item => {
+    const result = { [key]: item, ...await checkUrl(item.url) };
+    onResult(result);
+    return result;
+  }, (done, total) => {
+    if (showProgress) {
+      const progress = Math.round((done / total) * 100);
+      process.stderr.write(`\rProgress: ${progress}% (${done}/${total})`);
     }
+  });
 
-    // Small delay between batches to be polite
-    if (i + CONFIG.concurrency < services.length) {
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-  }
-
-  if (verbose && !outputJson) {
+  if (showProgress) {
     process.stderr.write('\n');
   }
 
@@ -261,15 +184,34 @@ async function checkAllUrls(services) {
 }
 
 /**
- * Generate a human-readable report
+ * History lines shown under each reported link
  */
-function generateReport(results) {
-  const broken = results.filter(r => r.status === 'broken');
-  const soft404s = results.filter(r => r.status === 'soft_404');
-  const suspiciousRedirects = results.filter(r => r.status === 'redirect_suspicious');
-  const timeouts = results.filter(r => r.status === 'timeout');
-  const errors = results.filter(r => r.status === 'error');
+function healthLines(r) {
+  const lines = [];
+  if (!r.health) return lines;
+  if (r.health.firstFailedAt) {
+    lines.push(`  - Failing since: ${r.health.firstFailedAt} (${r.health.consecutiveFailures} run${r.health.consecutiveFailures === 1 ? '' : 's'} in a row)`);
+  }
+  lines.push(`  - Last OK: ${r.health.lastOkAt || 'never recorded'}`);
+  return lines;
+}
+
+/**
+ * Generate a human-readable report. Only escalated links (failing for
+ * CONFIG.failureThreshold runs in a row) get the per-status sections;
+ * newer failures and flaky links are listed under "Watching".
+ */
+function generateReport(results, healthCounts, departmentResults = []) {
+  const escalated = results.filter(r => r.status !== 'ok' && r.health.escalated);
+  const broken = escalated.filter(r => r.status === 'broken');
+  const soft404s = escalated.filter(r => r.status === 'soft_404');
+  const suspiciousRedirects = escalated.filter(r => r.status === 'redirect_suspicious');
+  const timeouts = escalated.filter(r => r.status === 'timeout');
+  const errors = escalated.filter(r => r.status === 'error');
+  const watching = results.filter(r => !r.health.escalated && r.health.state !== 'healthy');
   const ok = results.filter(r => r.status === 'ok');
+  const departmentIssues = departmentResults.filter(r => r.status !== 'ok' || r.health.state !== 'healthy');
+  const departmentEscalated = departmentIssues.filter(r => r.health.escalated);
 
   const lines = [
     `# Link Health Report`,
@@ -277,12 +219,19 @@ function generateReport(results) {
     ``,
     `## Summary`,
     `- ✅ Healthy: ${ok.length}`,
-    `- ❌ Broken (HTTP errors): ${broken.length}`,
-    `- 👻 Soft 404s: ${soft404s.length}`,
-    `- 🔀 Suspicious redirects: ${suspiciousRedirects.length}`,
-    `- ⏱️ Timeouts: ${timeouts.length}`,
-    `- ⚠️ Errors: ${errors.length}`,
+    `- ❌ Broken (HTTP errors): ${results.filter(r => r.status === 'broken').length}`,
+    `- 👻 Soft 404s: ${results.filter(r => r.status === 'soft_404').length}`,
+    `- 🔀 Suspicious redirects: ${results.filter(r => r.status === 'redirect_suspicious').length}`,
+    `- ⏱️ Timeouts: ${results.filter(r => r.status === 'timeout').length}`,
+    `- ⚠️ Errors: ${results.filter(r => r.status === 'error').length}`,
     `- **Total: ${results.length}**`,
+    `- 📝 Pages changed since the last run: ${results.filter(r => r.contentChanged === true).length}`,
+    ``,
+    `## History`,
+    `- 🚨 Escalated (failed ${failureThreshold}+ runs in a row): ${escalated.length}`,
+    `- 👀 Watching: ${watching.length}`,
+    `- Link states: ${healthCounts.healthy} healthy, ${healthCounts.degraded} degraded, ${healthCounts.flaky} flaky, ${healthCounts.dead} dead`,
+    `- 🏛️ Department links: ${departmentResults.length} checked, ${departmentEscalated.length} escalated, ${departmentIssues.length - departmentEscalated.length} watching`,
     ``,
   ];
 
@@ -292,6 +241,7 @@ function generateReport(results) {
       lines.push(`- **ID ${r.service.id}**: ${r.service.name.en}`);
       lines.push(`  - URL: ${r.service.url}`);
       lines.push(`  - Status: ${r.httpStatus}`);
+      lines.push(...healthLines(r));
       lines.push(``);
     }
   }
@@ -302,6 +252,7 @@ function generateReport(results) {
       lines.push(`- **ID ${r.service.id}**: ${r.service.name.en}`);
       lines.push(`  - URL: ${r.service.url}`);
       lines.push(`  - Reason: ${r.reason}`);
+      lines.push(...healthLines(r));
       lines.push(``);
     }
   }
@@ -312,6 +263,8 @@ function generateReport(results) {
       lines.push(`- **ID ${r.service.id}**: ${r.service.name.en}`);
       lines.push(`  - Original: ${r.originalUrl}`);
       lines.push(`  - Redirects to: ${r.finalUrl}`);
+      lines.push(`  - Chain: ${formatChain(r.redirect.chain)}`);
+      lines.push(...healthLines(r));
       lines.push(``);
     }
   }
@@ -321,6 +274,7 @@ function generateReport(results) {
     for (const r of timeouts) {
       lines.push(`- **ID ${r.service.id}**: ${r.service.name.en}`);
       lines.push(`  - URL: ${r.service.url}`);
+      lines.push(...healthLines(r));
       lines.push(``);
     }
   }
@@ -331,6 +285,35 @@ function generateReport(results) {
       lines.push(`- **ID ${r.service.id}**: ${r.service.name.en}`);
       lines.push(`  - URL: ${r.service.url}`);
       lines.push(`  - Error: ${r.reason}`);
+      lines.push(...healthLines(r));
+      lines.push(``);
+    }
+  }
+
+  if (watching.length > 0) {
+    lines.push(`## 👀 Watching (not escalated yet)`, ``);
+    for (const r of watching) {
+      lines.push(`- **ID ${r.service.id}**: ${r.service.name.en} — ${r.health.state}`);
+      lines.push(`  - URL: ${r.service.url}`);
+      lines.push(`  - This run: ${r.status}${r.reason ? ` (${r.reason})` : ''}`);
+      lines.push(`  - Failures in last ${linkHealth.DEFAULTS.window} runs: ${r.health.failuresInWindow}`);
+      lines.push(...healthLines(r));
+      lines.push(``);
+    }
+  }
+
+  if (departmentIssues.length > 0) {
+    lines.push(`## 🏛️ Department Links`, ``);
+    for (const r of departmentIssues) {
+      const label = r.health.escalated ? '🚨 escalated' : `👀 ${r.health.state}`;
+      lines.push(`- **${r.department.department || 'Unnamed department'}** — ${label}`);
+      lines.push(`  - URL: ${r.department.url}`);
+      lines.push(`  - This run: ${r.status}${r.reason ? ` (${r.reason})` : ''}`);
+      if (r.finalUrl && r.finalUrl !== r.department.url) {
+        lines.push(`  - Redirects to: ${r.finalUrl}`);
+      }
+      lines.push(`  - Used by services: ${r.department.serviceIds.join(', ')}`);
+      lines.push(...healthLines(r));
       lines.push(``);
     }
   }
@@ -338,58 +321,213 @@ function generateReport(results) {
   return lines.join('\n');
 }
 
+/**
+ * Summary counts shared by the JSON and NDJSON outputs
+ */
+function buildSummary(results, departmentResults, healthCounts) {
+  const all = [...results, ...departmentResults];
+  return {
+    total: results.length,
+    healthy: results.filter(r => r.status === 'ok').length,
+    broken: results.filter(r => r.status === 'broken').length,
+    soft404: results.filter(r => r.status === 'soft_404').length,
+    suspiciousRedirects: results.filter(r => r.status === 'redirect_suspicious').length,
+    timeouts: results.filter(r => r.status === 'timeout').length,
+    errors: results.filter(r => r.status === 'error').length,
+    pagesChanged: results.filter(r => r.contentChanged === true).length,
+    escalated: all.filter(r => r.status !== 'ok' && r.health.escalated).length,
+    watching: results.filter(r => !r.health.escalated && r.health.state !== 'healthy').length,
+    failed: all.filter(r => r.failed).length,
+    failOn: [...failOn],
+    failureThreshold,
+    states: healthCounts,
+    departments: {
+      total: departmentResults.length,
+      healthy: departmentResults.filter(r => r.status === 'ok').length,
+      issues: departmentResults.filter(r => r.status !== 'ok').length,
+      escalated: departmentResults.filter(r => r.status !== 'ok' && r.health.escalated).length,
+      watching: departmentResults.filter(r => !r.health.escalated && r.health.state !== 'healthy').length,
+    },
+  };
+}
+
+function historyFields(r) {
+  return {
+    state: r.health.state,
+    escalated: r.health.escalated,
+    failed: r.failed,
+    consecutiveFailures: r.health.consecutiveFailures,
+    firstFailedAt: r.health.firstFailedAt,
+    lastOkAt: r.health.lastOkAt,
+  };
+}
+
+/**
+ * Reporters for --format. ndjson isn't here: it is written line by line
+ * while the checks run.
+ */
+const REPORTERS = {
+  markdown: run => generateReport(run.results, run.healthCounts, run.departmentResults),
+  json: run => JSON.stringify({
+    generated: run.generated,
+    summary: run.summary,
+    issues: run.results.filter(r => r.status !== 'ok').map(r => ({
+      id: r.service.id,
+      name: r.service.name.en,
+      url: r.service.url,
+      status: r.status,
+      httpStatus: r.httpStatus,
+      reason: r.reason,
+      errorKind: r.errorKind,
+      finalUrl: r.finalUrl,
+      ...redirectFields(r.redirect),
+      ...historyFields(r),
+    })),
+    departments: run.departmentResults.filter(r => r.status !== 'ok').map(r => ({
+      department: r.department.department,
+      url: r.department.url,
+      serviceIds: r.department.serviceIds,
+      status: r.status,
+      httpStatus: r.httpStatus,
+      reason: r.reason,
+      errorKind: r.errorKind,
+      finalUrl: r.finalUrl,
+      ...redirectFields(r.redirect),
+      ...historyFields(r),
+    })),
+  }, null, 2),
+  junit: run => reporters.toJUnit(run.rows, { generated: run.generated }),
+  sarif: run => reporters.toSarif(run.rows, {
+    catalogPath: path.relative(path.join(__dirname, '..'), CONFIG.catalogPath),
+    catalogText: run.catalogRaw,
+    generated: run.generated,
+  }),
+  csv: run => reporters.toCsv(run.rows),
+};
+
+/**
+ * Run the soft-404 detector over the fixture corpus. Each case's probe is
+ * served from its saved page (or status) instead of the network.
+ */
+async function runFixtures() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(CONFIG.fixturesDir, 'cases.json'), 'utf-8'));
+  const read = file => fs.readFileSync(path.join(CONFIG.fixturesDir, file), 'utf-8');
+  let failures = 0;
+
+  for (const fixture of manifest.cases) {
+    const probeHtml = fixture.probe ? read(fixture.probe) : '';
+    const probeStatus = fixture.probeStatus || (fixture.probe ? 200 : null);
+    const fixtureHttp = {
+      async request() {
+        if (!probeStatus) throw new Error('no probe in fixture');
+        return { ok: probeStatus < 400, status: probeStatus, text: async () => probeHtml };
+      },
+    };
+    const verdict = await createSoft404Detector({ http: fixtureHttp }).detect(read(fixture.file), fixture.url);
+    const passed = verdict.detected === fixture.soft404;
+    if (!passed) failures++;
+
+    const label = detected => (detected ? 'soft 404' : 'ok');
+    console.log(`${passed ? '✓' : '✗'} ${fixture.file}: ${label(verdict.detected)} (confidence ${verdict.confidence.toFixed(2)})${passed ? '' : `, expected ${label(fixture.soft404)}`}`);
+    if (!passed || verbose) {
+      for (const item of verdict.evidence) {
+        console.log(`    ${item.weight > 0 ? '+' : ''}${item.weight.toFixed(2)} ${item.detail}`);
+      }
+    }
+  }
+
+  console.log(`\n${manifest.cases.length - failures}/${manifest.cases.length} fixtures passed`);
+  return failures === 0;
+}
+
 /**
  * Main entry point
  */
 async function main() {
+  if (replayFixtures) {
+    if (!(await runFixtures())) process.exitCode = 1;
+    return;
+  }
+
+  const unknownFormats = outputs.filter(output => output.format !== 'ndjson' && !REPORTERS[output.format]);
+  const unknownStatuses = [...failOn].filter(status => !reporters.STATUSES.includes(status));
+  if (failOnMissing || unknownFormats.length || unknownStatuses.length || outputs.filter(output => !output.file).length > 1) {
+    console.error(`Usage: --format <${[...Object.keys(REPORTERS), 'ndjson'].join('|')}>[=<file>] (at most one without a file), --fail-on <${[...reporters.STATUSES, 'any', 'none'].join(',')}>`);
+    process.exit(2);
+  }
+
   // Load catalog
   const catalogRaw = fs.readFileSync(CONFIG.catalogPath, 'utf-8');
   const catalog = JSON.parse(catalogRaw);
 
-  if (!outputJson) {
+  // NDJSON outputs get a line per link as soon as it's checked
+  const streams = outputs.filter(output => output.format === 'ndjson').map(output => {
+    if (!output.file) return { write: line => process.stdout.write(line + '\n'), close() {} };
+    const fd = fs.openSync(output.file, 'w');
+    return { write: line => fs.writeSync(fd, line + '\n'), close: () => fs.closeSync(fd) };
+  });
+
+  // Classify each link against its stored history as it comes in; the run
+  // is saved to the history at the end
+  const checkedAt = new Date().toISOString();
+  const history = useHistory ? linkHealth.loadHistory(CONFIG.historyPath) : [];
+  const historyIndex = linkHealth.indexHistory(history);
+  const runRecords = [];
+  const recordResult = target => r => {
+    const record = linkHealth.toRecord(target(r), r, { source: 'check-links', checkedAt });
+    runRecords.push(record);
+    r.health = linkHealth.assessService(target(r), record, historyIndex, { failureThreshold });
+    r.failed = r.status !== 'ok' && r.health.escalated && failOn.has(r.status);
+    for (const stream of streams) stream.write(reporters.toNdjsonLine('result', reporters.toRow(r)));
+  };
+
+  if (!quiet) {
     console.error(`Checking ${catalog.services.length} services...`);
   }
+  const results = await checkAllUrls(catalog.services, 'service', recordResult(r => r.service));
 
-  // Also check departmentUrl fields (they can break too)
-  const allUrls = [];
-  for (const service of catalog.services) {
-    allUrls.push(service);
+  // Department homepages break too; each distinct URL is checked once
+  const departments = linkHealth.collectDepartmentUrls(catalog.services);
+  if (!quiet) {
+    console.error(`Checking ${departments.length} department links...`);
   }
+  const departmentResults = await checkAllUrls(departments, 'department', recordResult(r => r.department));
 
-  const results = await checkAllUrls(allUrls);
-
-  // Count issues
-  const issues = results.filter(r => r.status !== 'ok');
-
-  if (outputJson) {
-    console.log(JSON.stringify({
-      generated: new Date().toISOString(),
-      summary: {
-        total: results.length,
-        healthy: results.filter(r => r.status === 'ok').length,
-        broken: results.filter(r => r.status === 'broken').length,
-        soft404: results.filter(r => r.status === 'soft_404').length,
-        suspiciousRedirects: results.filter(r => r.status === 'redirect_suspicious').length,
-        timeouts: results.filter(r => r.status === 'timeout').length,
-        errors: results.filter(r => r.status === 'error').length,
-      },
-      issues: issues.map(r => ({
-        id: r.service.id,
-        name: r.service.name.en,
-        url: r.service.url,
-        status: r.status,
-        httpStatus: r.httpStatus,
-        reason: r.reason,
-        finalUrl: r.finalUrl,
-      })),
-    }, null, 2));
-  } else {
-    console.log(generateReport(results));
+  if (useHistory) {
+    linkHealth.saveHistory(CONFIG.historyPath, [...history, ...runRecords]);
+  }
+  pageCache.save();
+  const healthCounts = linkHealth.countStates(results.map(r => r.health));
+  const summary = buildSummary(results, departmentResults, healthCounts);
+
+  // One run can write several reports, so the history only gets one entry
+  const run = {
+    generated: checkedAt,
+    results,
+    departmentResults,
+    healthCounts,
+    summary,
+    catalogRaw,
+    rows: [...results, ...departmentResults].map(reporters.toRow),
+  };
+  for (const stream of streams) {
+    stream.write(reporters.toNdjsonLine('summary', { generated: checkedAt, ...summary }));
+    stream.close();
+  }
+  for (const output of outputs) {
+    if (output.format === 'ndjson') continue;
+    const text = REPORTERS[output.format](run);
+    if (output.file) {
+      fs.writeFileSync(output.file, text + '\n');
+    } else {
+      console.log(text);
+    }
   }
 
-  // Exit with error code if there are issues (useful for CI)
-  if (issues.length > 0) {
-    process.exit(1);
+  // Exit with error code if escalated links match --fail-on (useful for CI).
+  // exitCode rather than exit() so piped output is flushed first
+  if (summary.failed > 0) {
+    process.exitCode = 1;
   }
 }
 
@@ -6,8 +6,12 @@
  * polls for completion, and downloads paginated results.
  *
  * Environment variables:
- *   CF_ACCOUNT_ID  - Cloudflare account ID (required)
- *   CF_API_TOKEN   - Cloudflare API token with Browser Rendering Edit (required)
+ *   CF_ACCOUNT_ID   - Cloudflare account ID (required)
+ *   CF_API_TOKEN    - Cloudflare API token with Browser Rendering Edit (required)
+ *   CF_API_BASE_URL - API base up to /accounts (optional; defaults to
+ *                     api.cloudflare.com — point it at scripts/mock-crawl-server.js
+ *                     to crawl fixture sites offline)
+ *   CF_CRAWL_POLL_INTERVAL_MS - delay between status polls (optional, default 10000)
  *
  * Usage:
  *   node scripts/crawl-client.js --url https://example.com [--profile hub-discovery] [--output-dir ./crawl-results]
@@ -17,11 +21,11 @@
 const fs = require('fs');
 const path = require('path');
 
-const SCRIPT_VERSION = '1.2.0';  // bump when deploying changes
+const SCRIPT_VERSION = '1.3.0';  // bump when deploying changes
 console.error(`crawl-client: loaded (v${SCRIPT_VERSION}, node ${process.version})`);
 
-const BASE_URL = 'https://api.cloudflare.com/client/v4/accounts';
-const POLL_INTERVAL_MS = 10000;
+const BASE_URL = (process.env.CF_API_BASE_URL || 'https://api.cloudflare.com/client/v4/accounts').replace(/\/+$/, '');
+const POLL_INTERVAL_MS = Number(process.env.CF_CRAWL_POLL_INTERVAL_MS) || 10000;
 const MAX_POLL_ATTEMPTS = 180; // 30 minutes at 10s intervals
 const RESULTS_PAGE_SIZE = 100;
 
@@ -4,19 +4,26 @@
  *
  * Crawls Colorado government sitemaps to find potential new services
  * that aren't yet in the catalog. Uses heuristics to identify pages
- * that look like citizen-facing services.
+ * that look like citizen-facing services. Follows robots.txt (Disallow and
+ * Crawl-delay), lists the URLs it skipped, and also crawls sitemaps named
+ * by robots.txt Sitemap: lines.
  *
  * Usage: node scripts/discover-services.js [--json] [--limit N]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { createHttpClient, describeError, mapWithConcurrency } = require('./lib/http');
+const { createRobotsCache } = require('./lib/robots');
 
 // Configuration
 const CONFIG = {
   catalogPath: path.join(__dirname, '..', 'service-catalog-v8.json'),
   timeout: 30000,
+  pageTimeout: 10000,
   concurrency: 3,
+  retries: 2,
+  hostRate: { perSecond: 2, burst: 2 },
   userAgent: 'Colorado-Service-Navigator-Discovery/1.0 (https://github.com/bntcurtis)',
 
   // Root sitemaps to check (these often contain sitemap indexes)
@@ -91,6 +98,14 @@ const outputJson = args.includes('--json');
 const limitArg = args.find(a => a.startsWith('--limit'));
 const urlLimit = limitArg ? parseInt(limitArg.split('=')[1] || args[args.indexOf('--limit') + 1]) : 500;
 
+const http = createHttpClient({
+  userAgent: CONFIG.userAgent,
+  timeout: CONFIG.timeout,
+  retries: CONFIG.retries,
+  hostRate: CONFIG.hostRate,
+});
+const robots = createRobotsCache({ http, userAgent: CONFIG.userAgent });
+
 /**
  * Fetch and parse a sitemap (handles both sitemap indexes and regular sitemaps)
  */
@@ -98,14 +113,9 @@ async function fetchSitemap(url, depth = 0) {
   if (depth > 2) return []; // Prevent infinite recursion
 
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+    if (!(await robots.isAllowed(url, 'sitemap'))) return [];
 
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: { 'User-Agent': CONFIG.userAgent },
-    });
-    clearTimeout(timeoutId);
+    const response = await http.request(url);
 
     if (!response.ok) {
       console.error(`Failed to fetch ${url}: ${response.status}`);
@@ -124,7 +134,6 @@ async function fetchSitemap(url, depth = 0) {
       for (const childUrl of childSitemaps.slice(0, 10)) { // Limit to avoid too many requests
         const childUrls = await fetchSitemap(childUrl, depth + 1);
         urls.push(...childUrls);
-        await new Promise(r => setTimeout(r, 200)); // Rate limit
       }
     } else {
       // Regular sitemap - extract URLs
@@ -136,7 +145,7 @@ async function fetchSitemap(url, depth = 0) {
 
     return urls;
   } catch (error) {
-    console.error(`Error fetching sitemap ${url}:`, error.message);
+    console.error(`Error fetching sitemap ${url}: ${describeError(error)}`);
     return [];
   }
 }
@@ -175,14 +184,9 @@ function normalizeUrl(url) {
  */
 async function fetchPageInfo(url) {
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
+    if (!(await robots.isAllowed(url, 'page-info'))) return null;
 
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: { 'User-Agent': CONFIG.userAgent },
-    });
-    clearTimeout(timeoutId);
+    const response = await http.request(url, { timeout: CONFIG.pageTimeout });
 
     if (!response.ok) return null;
 
@@ -220,14 +224,30 @@ async function main() {
     }
   }
 
+  // Add sitemaps listed in robots.txt on the hosts we already crawl
+  const sitemapRoots = [...CONFIG.sitemapRoots];
+  const knownRoots = new Set(sitemapRoots.map(normalizeUrl));
+  const robotsSitemaps = [];
+  for (const root of CONFIG.sitemapRoots) {
+    for (const url of await robots.getSitemaps(root)) {
+      if (knownRoots.has(normalizeUrl(url))) continue;
+      knownRoots.add(normalizeUrl(url));
+      robotsSitemaps.push(url);
+      sitemapRoots.push(url);
+    }
+  }
+
   if (!outputJson) {
     console.error(`Loaded ${catalog.services.length} existing services`);
-    console.error(`Crawling ${CONFIG.sitemapRoots.length} sitemaps...`);
+    if (robotsSitemaps.length) {
+      console.error(`Found ${robotsSitemaps.length} extra sitemaps in robots.txt`);
+    }
+    console.error(`Crawling ${sitemapRoots.length} sitemaps...`);
   }
 
   // Crawl all sitemaps
   const allDiscoveredUrls = new Set();
-  for (const sitemapUrl of CONFIG.sitemapRoots) {
+  for (const sitemapUrl of sitemapRoots) {
     if (!outputJson) {
       console.error(`  Fetching ${sitemapUrl}...`);
     }
@@ -235,7 +255,6 @@ async function main() {
     for (const url of urls) {
       allDiscoveredUrls.add(url);
     }
-    await new Promise(r => setTimeout(r, 500));
   }
 
   if (!outputJson) {
@@ -265,24 +284,19 @@ async function main() {
   const candidates = [];
   const urlsToCheck = potentialServices.slice(0, urlLimit);
 
-  for (let i = 0; i < urlsToCheck.length; i += CONFIG.concurrency) {
-    const batch = urlsToCheck.slice(i, i + CONFIG.concurrency);
-    const results = await Promise.all(batch.map(async url => {
-      const info = await fetchPageInfo(url);
-      return { url, ...info };
-    }));
-
-    for (const result of results) {
-      if (result.title) {
-        candidates.push(result);
-      }
-    }
-
+  const results = await mapWithConcurrency(urlsToCheck, CONFIG.concurrency, async url => {
+    const info = await fetchPageInfo(url);
+    return { url, ...info };
+  }, (done, total) => {
     if (!outputJson) {
-      process.stderr.write(`\r  Progress: ${Math.min(i + CONFIG.concurrency, urlsToCheck.length)}/${urlsToCheck.length}`);
+      process.stderr.write(`\r  Progress: ${done}/${total}`);
     }
+  });
 
-    await new Promise(r => setTimeout(r, 300));
+  for (const result of results) {
+    if (result.title) {
+      candidates.push(result);
+    }
   }
 
   if (!outputJson) {
@@ -292,6 +306,8 @@ async function main() {
   // Sort by URL (group by department)
   candidates.sort((a, b) => a.url.localeCompare(b.url));
 
+  const skippedByRobots = robots.getSkipped();
+
   // Output results
   if (outputJson) {
     console.log(JSON.stringify({
@@ -301,6 +317,8 @@ async function main() {
       potentialServicesFound: potentialServices.length,
       candidatesWithInfo: candidates.length,
       candidates,
+      robotsSitemaps,
+      skippedByRobots,
     }, null, 2));
   } else {
     console.log(`# Potential New Services`);
@@ -317,6 +335,15 @@ async function main() {
       }
       console.log(``);
     }
+
+    if (skippedByRobots.length > 0) {
+      console.log(`## Skipped by robots.txt`);
+      console.log(``);
+      for (const item of skippedByRobots) {
+        console.log(`- ${item.url} (${item.source}): ${item.reason}`);
+      }
+      console.log(``);
+    }
   }
 }
 
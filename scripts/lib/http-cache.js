@@ -0,0 +1,218 @@
+/**
+ * Conditional-Request Cache
+ *
+ * Remembers, per URL, the ETag, Last-Modified and a hash of the page text
+ * from the last time a page was downloaded, so later runs can send
+ * If-None-Match / If-Modified-Since and skip work when nothing changed.
+ * The link checkers use it to avoid re-running soft-404 detection on pages
+ * that haven't changed, and the catalog agent reports pages whose content
+ * changed since the previous run.
+ *
+ * The hash covers the visible text only (scripts, styles and tags are
+ * stripped) so per-request tokens in the markup don't count as changes.
+ *
+ * Each tool keeps its own cache, .cache/http-cache-<name>.json (not
+ * committed; the workflows keep them between runs with actions/cache), so
+ * "changed since the last run" means since that tool's last run: a link
+ * audit doesn't use up the changes the catalog agent reports. Entries not
+ * seen for `maxAgeDays` are dropped on save.
+ *
+ * createPageChecker() wraps a cache and the soft-404 detector into the
+ * last step of a link check that both link checkers share.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { RULES_KEY: SOFT404_RULES_KEY } = require('./soft404');
+
+const DEFAULTS = {
+  cacheDir: path.join(__dirname, '..', '..', '.cache'),
+  name: 'default',
+  maxAgeDays: 90,
+};
+
+function hashText(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function hashContent(html) {
+  const text = String(html || '')
+    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return hashText(text);
+}
+
+/**
+ * Open the cache. Options:
+ *   name        the tool using it; picks .cache/http-cache-<name>.json
+ *   cachePath   JSON file to read and write (overrides name)
+ *   maxAgeDays  drop entries not seen for this long
+ *   now         clock hook for tests
+ */
+function createHttpCache(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  config.cachePath = config.cachePath || path.join(config.cacheDir, `http-cache-${config.name}.json`);
+  const now = config.now || (() => new Date());
+  let entries = {};
+
+  try {
+    entries = JSON.parse(fs.readFileSync(config.cachePath, 'utf-8')).entries || {};
+  } catch {
+    entries = {};
+  }
+
+  function get(url) {
+    return entries[url] || null;
+  }
+
+  /**
+   * Merge extra fields (such as a soft-404 verdict) into a URL's entry.
+   */
+  function annotate(url, fields) {
+    if (entries[url]) Object.assign(entries[url], fields);
+  }
+
+  function store(url, response, html) {
+    const previous = entries[url] || null;
+    const contentHash = hashContent(html);
+    const seenAt = now().toISOString();
+    const contentChanged = previous ? previous.contentHash !== contentHash : null;
+
+    entries[url] = {
+      etag: response.headers.get('etag') || null,
+      lastModified: response.headers.get('last-modified') || null,
+      contentHash,
+      seenAt,
+      changedAt: contentChanged === false ? previous.changedAt : seenAt,
+      // A verdict only holds for the content it was made on
+      soft404: contentChanged === false ? previous.soft404 : undefined,
+    };
+
+    return { html, notModified: false, contentChanged, previous, entry: entries[url] };
+  }
+
+  /**
+   * Record a page whose body is already in hand (e.g. from a GET fallback).
+   * Resolves with { html, notModified, contentChanged, previous, entry };
+   * contentChanged is null the first time a URL is seen.
+   */
+  async function readPage(url, response) {
+    return store(url, response, await response.text());
+  }
+
+  /**
+   * GET a page with If-None-Match / If-Modified-Since from the cache. On a
+   * 304, html is null and the cached entry (with any verdict saved through
+   * annotate) stands for the page.
+   */
+  async function fetchPage(http, url) {
+    const previous = entries[url] || null;
+    const headers = {};
+    if (previous && previous.etag) headers['If-None-Match'] = previous.etag;
+    if (previous && previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+    const response = await http.request(url, { headers });
+    if (response.status === 304 && previous) {
+      previous.seenAt = now().toISOString();
+      return { html: null, notModified: true, contentChanged: false, previous, entry: previous };
+    }
+    if (!response.ok) {
+      // Error pages aren't cached; the last good copy stays
+      return { html: await response.text(), notModified: false, contentChanged: null, previous, entry: null };
+    }
+    return readPage(url, response);
+  }
+
+  function save() {
+    const cutoff = now().getTime() - config.maxAgeDays * 24 * 60 * 60 * 1000;
+    const kept = {};
+    for (const url of Object.keys(entries).sort()) {
+      if (Date.parse(entries[url].seenAt) >= cutoff) kept[url] = entries[url];
+    }
+    fs.mkdirSync(path.dirname(config.cachePath), { recursive: true });
+    fs.writeFileSync(config.cachePath, JSON.stringify({ entries: kept }, null, 2) + '\n');
+  }
+
+  return { get, annotate, readPage, fetchPage, save };
+}
+
+/**
+ * Finish link checks for responses that came back 2xx. `detector` is a
+ * soft-404 detector from lib/soft404.js.
+ */
+function createPageChecker({ http, cache, detector }) {
+  /**
+   * Run soft-404 detection on an HTML page. A page that is unchanged since
+   * the last run keeps that run's verdict (as long as the soft-404 rules are
+   * the same) instead of being analyzed again.
+   * Resolves with { soft404, contentChanged }.
+   */
+  async function checkContent(finalUrl, response, method) {
+    let page = method === 'GET'
+      ? await cache.readPage(finalUrl, response)
+      : await cache.fetchPage(http, finalUrl);
+
+    const cached = page.entry && page.entry.soft404;
+    if (page.contentChanged === false && cached && cached.rules === SOFT404_RULES_KEY) {
+      return { soft404: cached, contentChanged: false };
+    }
+
+    if (page.notModified) {
+      // 304 but no usable verdict: fetch the body unconditionally
+      page = await cache.readPage(finalUrl, await http.request(finalUrl));
+    }
+    const verdict = await detector.detect(page.html, finalUrl);
+    if (page.entry) cache.annotate(finalUrl, { soft404: verdict });
+    return { soft404: verdict, contentChanged: page.contentChanged };
+  }
+
+  /**
+   * Build the result for a link whose final response was 2xx (and whose
+   * redirects were acceptable): soft_404 when an HTML page reads as one,
+   * otherwise ok. contentChanged is true or false for HTML pages seen on an
+   * earlier run, null otherwise.
+   */
+  async function check(url, { response, method, finalUrl, redirect, elapsed }) {
+    const contentType = response.headers.get('content-type') || '';
+    let contentChanged = null;
+    if (contentType.includes('text/html')) {
+      const content = await checkContent(finalUrl, response, method);
+      contentChanged = content.contentChanged;
+      if (content.soft404.detected) {
+        return {
+          status: 'soft_404',
+          httpStatus: response.status,
+          reason: content.soft404.reason,
+          finalUrl,
+          redirect,
+          elapsed,
+          contentChanged,
+        };
+      }
+    }
+
+    return {
+      status: 'ok',
+      httpStatus: response.status,
+      finalUrl: finalUrl !== url ? finalUrl : null,
+      redirect,
+      elapsed,
+      contentChanged,
+    };
+  }
+
+  return { checkContent, check };
+}
+
+module.exports = {
+  DEFAULTS,
+  hashText,
+  hashContent,
+  createHttpCache,
+  createPageChecker,
+};
@@ -0,0 +1,433 @@
+/**
+ * Shared HTTP Client
+ *
+ * One place for the request plumbing used by check-links.js,
+ * catalog-agent.js and discover-services.js:
+ *
+ * - A per-attempt timeout (covering the body as well as the headers) and
+ *   a fixed User-Agent
+ * - Retries with exponential backoff and full jitter on 429, 503, timeouts
+ *   and transient connection errors, honouring Retry-After when the server
+ *   sends one
+ * - A token bucket per host, so several workers sharing one agency server
+ *   don't all hit it at once; a Retry-After pauses the whole host and
+ *   setHostDelay() spaces a host's requests out (robots.txt Crawl-delay)
+ * - HEAD with a GET fallback for servers that reject HEAD
+ * - follow(), which follows redirects one hop at a time and returns the
+ *   whole chain with each hop's status (see scripts/lib/redirects.js)
+ * - classifyError() to turn low-level fetch failures into a short kind
+ *   ('timeout', 'dns', 'refused', 'reset', 'tls', ...)
+ *
+ * The transport defaults to the global fetch. Pass any function with the
+ * same (url, init) → Response signature to run against a fake server.
+ *
+ * Usage:
+ *   const { createHttpClient, mapWithConcurrency } = require('./lib/http');
+ *   const http = createHttpClient({ userAgent: 'MyTool/1.0' });
+ *   const response = await http.request('https://example.colorado.gov/');
+ *   const { finalUrl, chain } = await http.follow('http://example.colorado.gov/old');
+ */
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const DEFAULTS = {
+  timeout: 15000,
+  retries: 2,
+  retryStatuses: [429, 503],
+  backoffBase: 1000,
+  backoffMax: 30000,
+  // Retry-After values longer than this are not waited out; the response
+  // is returned as-is so a run doesn't stall for minutes on one host.
+  maxRetryAfter: 60000,
+  hostRate: { perSecond: 2, burst: 2 },
+  maxRedirects: 10,
+  userAgent: 'Colorado-Service-Navigator/1.0 (https://github.com/bntcurtis)',
+};
+
+// Node's fetch (undici) reports connection failures as a TypeError whose
+// cause carries the system or undici error code.
+const ERROR_CODES = {
+  timeout: ['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'],
+  dns: ['ENOTFOUND', 'EAI_AGAIN', 'EAI_NONAME', 'EAI_FAIL'],
+  refused: ['ECONNREFUSED'],
+  reset: ['ECONNRESET', 'EPIPE', 'ECONNABORTED', 'UND_ERR_SOCKET', 'UND_ERR_CLOSED'],
+  unreachable: ['EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN', 'EHOSTDOWN'],
+};
+
+const ERROR_LABELS = {
+  timeout: 'Request timed out',
+  dns: 'DNS lookup failed',
+  refused: 'Connection refused',
+  reset: 'Connection reset',
+  unreachable: 'Host unreachable',
+  tls: 'TLS/certificate error',
+  network: 'Network error',
+  invalid_url: 'Invalid URL',
+  redirect_loop: 'Too many redirects',
+  unknown: 'Request failed',
+};
+
+// Failures worth another attempt; DNS, TLS and bad URLs won't fix themselves
+const RETRYABLE_KINDS = new Set(['timeout', 'reset', 'unreachable', 'network']);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function errorCode(error) {
+  if (!error) return null;
+  const cause = error.cause || {};
+  // Dual-stack connects fail with an AggregateError of per-address errors
+  const nested = Array.isArray(cause.errors) && cause.errors.find(inner => inner && inner.code);
+  return cause.code || (nested && nested.code) || error.code || null;
+}
+
+/**
+ * Classify a fetch error into a short kind. Returns one of: timeout, dns,
+ * refused, reset, unreachable, tls, invalid_url, network, unknown (or
+ * redirect_loop, set by follow()).
+ */
+function classifyError(error) {
+  if (!error) return 'unknown';
+  if (error.kind) return error.kind;
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') return 'timeout';
+
+  const code = errorCode(error);
+  if (code) {
+    for (const [kind, codes] of Object.entries(ERROR_CODES)) {
+      if (codes.includes(code)) return kind;
+    }
+    if (/^(ERR_TLS|CERT_|UNABLE_TO_(GET|VERIFY)|DEPTH_ZERO|SELF_SIGNED|ERR_SSL)/.test(code)) return 'tls';
+    if (code === 'ERR_INVALID_URL') return 'invalid_url';
+  }
+
+  const message = `${error.message || ''} ${(error.cause && error.cause.message) || ''}`;
+  if (/certificate|ssl|tls/i.test(message)) return 'tls';
+  if (/invalid url/i.test(message)) return 'invalid_url';
+  if (error.name === 'TypeError' && /fetch failed/i.test(message)) return 'network';
+  return 'unknown';
+}
+
+/**
+ * Human-readable reason for a failed request, e.g.
+ * "Connection refused (ECONNREFUSED)".
+ */
+function describeError(error) {
+  const kind = classifyError(error);
+  const code = errorCode(error);
+  if (kind === 'timeout' && error.timeout) return `Request timed out after ${error.timeout}ms`;
+  if (kind === 'unknown') return error.message || ERROR_LABELS.unknown;
+  return code ? `${ERROR_LABELS[kind]} (${code})` : ERROR_LABELS[kind];
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into
+ * milliseconds. Returns null when the header is missing or unreadable.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10) * 1000;
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * base * 2^attempt, capped at max.
+ */
+function backoffDelay(attempt, { base = DEFAULTS.backoffBase, max = DEFAULTS.backoffMax, random = Math.random } = {}) {
+  const ceiling = Math.min(max, base * Math.pow(2, attempt));
+  return Math.round(random() * ceiling);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Token buckets keyed by host. take(host) resolves once a request to that
+ * host may start; pause(host, ms) holds the host back, e.g. after a 429;
+ * setMinInterval(host, ms) spaces requests out, e.g. for a robots.txt
+ * Crawl-delay. Waiters on the same host are served in order.
+ */
+function createHostLimiter({ perSecond, burst }, clock = { now: Date.now, sleep }) {
+  const buckets = new Map();
+  const limited = perSecond > 0;
+
+  function bucketFor(host) {
+    if (!buckets.has(host)) {
+      buckets.set(host, {
+        tokens: burst,
+        updated: clock.now(),
+        pausedUntil: 0,
+        minInterval: 0,
+        lastStart: -Infinity,
+        queue: Promise.resolve(),
+      });
+    }
+    return buckets.get(host);
+  }
+
+  function refill(bucket) {
+    const now = clock.now();
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updated) / 1000) * perSecond);
+    bucket.updated = now;
+  }
+
+  async function acquire(bucket) {
+    for (;;) {
+      const wait = Math.max(bucket.pausedUntil, bucket.lastStart + bucket.minInterval) - clock.now();
+      if (wait > 0) {
+        await clock.sleep(wait);
+        continue;
+      }
+      if (limited) {
+        refill(bucket);
+        if (bucket.tokens < 1) {
+          await clock.sleep(Math.ceil(((1 - bucket.tokens) / perSecond) * 1000));
+          continue;
+        }
+        bucket.tokens -= 1;
+      }
+      bucket.lastStart = clock.now();
+      return;
+    }
+  }
+
+  function take(host) {
+    const bucket = bucketFor(host);
+    const turn = bucket.queue.then(() => acquire(bucket));
+    bucket.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  function pause(host, ms) {
+    const bucket = bucketFor(host);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, clock.now() + ms);
+  }
+
+  function setMinInterval(host, ms) {
+    bucketFor(host).minInterval = ms;
+  }
+
+  return { take, pause, setMinInterval };
+}
+
+/**
+ * Create a client. Options (all optional):
+ *   transport      (url, init) → Promise<Response>; defaults to global fetch
+ *   userAgent      User-Agent header sent with every request
+ *   timeout        per-attempt timeout in ms
+ *   retries        extra attempts after the first
+ *   retryStatuses  HTTP statuses that are retried
+ *   backoffBase, backoffMax, maxRetryAfter   delays in ms
+ *   hostRate       { perSecond, burst } per host; perSecond 0 disables it
+ *   maxRedirects   redirects follow() takes before giving up
+ *   onRetry        called with { url, attempt, delay, status, error }
+ *   now, sleep, random   clock hooks for tests
+ */
+function createHttpClient(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const transport = config.transport || ((url, init) => fetch(url, init));
+  const clock = { now: config.now || Date.now, sleep: config.sleep || sleep };
+  const random = config.random || Math.random;
+  const limiter = createHostLimiter({ ...DEFAULTS.hostRate, ...config.hostRate }, clock);
+
+  function tagError(error, timeout) {
+    error.kind = classifyError(error);
+    if (error.kind === 'timeout') error.timeout = timeout;
+    return error;
+  }
+
+  /**
+   * One try at a URL. The timeout covers the body as well as the headers:
+   * the timer is cleared only once text()/json()/arrayBuffer()/blob() has
+   * finished, so a server that stalls mid-body is aborted instead of
+   * hanging the run. An unread body doesn't keep the process alive.
+   */
+  async function attempt(url, init, timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    let response;
+    try {
+      response = await transport(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      clearTimeout(timeoutId);
+      throw tagError(error, timeout);
+    }
+
+    if (!response.body || init.method === 'HEAD') {
+      clearTimeout(timeoutId);
+      return response;
+    }
+    if (typeof timeoutId.unref === 'function') timeoutId.unref();
+    for (const reader of ['text', 'json', 'arrayBuffer', 'blob']) {
+      if (typeof response[reader] !== 'function') continue;
+      const read = response[reader].bind(response);
+      response[reader] = async () => {
+        try {
+          return await read();
+        } catch (error) {
+          throw tagError(error, timeout);
+        } finally {
+          clearTimeout(timeoutId);
+        }
+      };
+    }
+    return response;
+  }
+
+  /**
+   * Fetch a URL with retries. Resolves with the last response, including
+   * 429/503 responses once retries are used up; rejects with the last
+   * error (error.kind set by classifyError) when no response arrived.
+   */
+  async function request(url, init = {}) {
+    const host = hostOf(url);
+    const timeout = init.timeout || config.timeout;
+    const retries = init.retries !== undefined ? init.retries : config.retries;
+    const requestInit = {
+      method: 'GET',
+      redirect: 'follow',
+      ...init,
+      headers: { 'User-Agent': config.userAgent, ...(init.headers || {}) },
+    };
+    delete requestInit.timeout;
+    delete requestInit.retries;
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      await limiter.take(host);
+
+      let response = null;
+      let error = null;
+      try {
+        response = await attempt(url, requestInit, timeout);
+      } catch (caught) {
+        error = caught;
+      }
+
+      const canRetry = attemptNumber < retries;
+      if (response && !config.retryStatuses.includes(response.status)) return response;
+      if (error && (!canRetry || !RETRYABLE_KINDS.has(error.kind))) throw error;
+
+      let delay = backoffDelay(attemptNumber, { base: config.backoffBase, max: config.backoffMax, random });
+      if (response) {
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'), clock.now());
+        if (!canRetry || (retryAfter !== null && retryAfter > config.maxRetryAfter)) return response;
+        if (retryAfter !== null) {
+          delay = retryAfter;
+          limiter.pause(host, retryAfter);
+        }
+        // Let the connection go before waiting
+        if (response.body && typeof response.body.cancel === 'function') {
+          response.body.cancel().catch(() => {});
+        }
+      }
+
+      if (config.onRetry) {
+        config.onRetry({ url, attempt: attemptNumber + 1, delay, status: response ? response.status : null, error });
+      }
+      await clock.sleep(delay);
+    }
+  }
+
+  /**
+   * Request a URL and follow its redirects one hop at a time, so every hop
+   * is rate-limited and retried like any other request. Resolves with
+   * { response, finalUrl, chain }; chain lists each hop as
+   * { url, status, location } and ends with the final URL and status.
+   * Rejects with error.kind 'redirect_loop' (and error.chain) after a loop
+   * or more than maxRedirects hops.
+   */
+  async function follow(url, init = {}) {
+    const chain = [];
+    let current = url;
+    let method = init.method || 'GET';
+
+    for (;;) {
+      const response = await request(current, { ...init, method, redirect: 'manual' });
+      const location = REDIRECT_STATUSES.has(response.status) ? response.headers.get('location') : null;
+      if (!location) {
+        chain.push({ url: current, status: response.status });
+        return { response, finalUrl: current, chain };
+      }
+
+      const next = new URL(location, current).href;
+      chain.push({ url: current, status: response.status, location: next });
+      if (response.body && typeof response.body.cancel === 'function') {
+        response.body.cancel().catch(() => {});
+      }
+      if (chain.length > config.maxRedirects || chain.some(hop => hop.url === next)) {
+        const error = new Error(`Too many redirects from ${url}`);
+        error.kind = 'redirect_loop';
+        error.chain = chain;
+        throw error;
+      }
+      // A 303 means "GET the other URL"; other redirects keep the method
+      if (response.status === 303 && method !== 'HEAD') method = 'GET';
+      current = next;
+    }
+  }
+
+  /**
+   * HEAD the URL, following redirects, and fall back to GET when the
+   * server rejects HEAD (405 or 403). Resolves with
+   * { response, finalUrl, chain, method }.
+   */
+  async function headOrGet(url, init = {}) {
+    const head = await follow(url, { ...init, method: 'HEAD' });
+    if (head.response.status !== 405 && head.response.status !== 403) {
+      return { ...head, method: 'HEAD' };
+    }
+    return { ...await follow(url, { ...init, method: 'GET' }), method: 'GET' };
+  }
+
+  /**
+   * Leave at least `ms` between the starts of requests to a host
+   * (robots.txt Crawl-delay).
+   */
+  function setHostDelay(host, ms) {
+    limiter.setMinInterval(String(host).toLowerCase(), ms);
+  }
+
+  return { request, follow, headOrGet, setHostDelay, config };
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight. Results keep the
+ * order of items. onProgress(done, total) is called after each item.
+ */
+async function mapWithConcurrency(items, limit, fn, onProgress) {
+  const results = new Array(items.length);
+  let index = 0;
+  let done = 0;
+
+  const workers = new Array(Math.max(1, Math.min(limit, items.length))).fill(0).map(async () => {
+    while (index < items.length) {
+      const current = index++;
+      results[current] = await fn(items[current], current);
+      done++;
+      if (onProgress) onProgress(done, items.length);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  DEFAULTS,
+  createHttpClient,
+  createHostLimiter,
+  classifyError,
+  describeError,
+  parseRetryAfter,
+  backoffDelay,
+  mapWithConcurrency,
+};
@@ -0,0 +1,227 @@
+/**
+ * Link Health History
+ *
+ * Keeps a record of every link check in reports/link-health.jsonl (one JSON
+ * object per service per run) so check-links.js and the catalog agent can
+ * tell a one-off timeout from a link that has been dead for weeks.
+ *
+ * Each record holds: checkedAt, source, id, url, status, httpStatus,
+ * elapsed and finalUrl. Department homepage checks are stored with a null
+ * id and the department name, and are tracked by URL. Only records for a
+ * link's current URL count towards its history, so a repaired link starts
+ * fresh.
+ *
+ * Links are classified from their recent runs:
+ * - dead      the last `failureThreshold` runs (or more) all failed
+ * - flaky     status flipped between ok and failing at least
+ *             `flapThreshold` times within the last `window` runs
+ * - degraded  failing now but not yet dead, or ok now after recent
+ *             failures, or ok but slower than `slowMs`
+ * - healthy   everything else
+ *
+ * Only dead links are escalated in reports; the rest are "watching".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULTS = {
+  historyPath: path.join(__dirname, '..', '..', 'reports', 'link-health.jsonl'),
+  failureThreshold: 3,
+  flapThreshold: 2,
+  window: 10,
+  slowMs: 8000,
+  // Oldest records beyond this many per service are dropped on save
+  maxRecordsPerService: 52,
+};
+
+const RECORD_FIELDS = ['checkedAt', 'source', 'id', 'url', 'status', 'httpStatus', 'elapsed', 'finalUrl'];
+
+// Services are tracked by id, department homepages (id null) by URL
+function historyKey(record) {
+  return record.id ?? `department:${record.url}`;
+}
+
+function compareKeys(a, b) {
+  if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function isFailure(status) {
+  return status !== 'ok';
+}
+
+function toDate(timestamp) {
+  return timestamp ? String(timestamp).slice(0, 10) : null;
+}
+
+/**
+ * Build a history record from a link check result. `target` is a service,
+ * or { id: null, department, url } for a department homepage.
+ */
+function toRecord(target, result, { source, checkedAt }) {
+  return {
+    checkedAt,
+    source,
+    id: target.id ?? null,
+    ...(target.department && target.id == null ? { department: target.department } : {}),
+    url: target.url,
+    status: result.status,
+    httpStatus: result.httpStatus ?? null,
+    elapsed: result.elapsed ?? null,
+    finalUrl: result.finalUrl || null,
+  };
+}
+
+/**
+ * Read the history file. Missing files give an empty history; unreadable
+ * lines are skipped.
+ */
+function loadHistory(historyPath = DEFAULTS.historyPath) {
+  if (!fs.existsSync(historyPath)) return [];
+  const records = [];
+  for (const line of fs.readFileSync(historyPath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // skip corrupt line
+    }
+  }
+  return records;
+}
+
+/**
+ * Append a run's records and rewrite the file, keeping the newest
+ * maxRecordsPerService records per service.
+ */
+function saveHistory(historyPath, records, options = {}) {
+  const maxRecords = options.maxRecordsPerService || DEFAULTS.maxRecordsPerService;
+  const kept = [];
+  for (const serviceRecords of indexHistory(records).values()) {
+    kept.push(...serviceRecords.slice(-maxRecords));
+  }
+  kept.sort((a, b) => String(a.checkedAt).localeCompare(String(b.checkedAt)) || compareKeys(historyKey(a), historyKey(b)));
+
+  const lines = kept.map(record => {
+    const line = Object.fromEntries(RECORD_FIELDS.map(field => [field, record[field] ?? null]));
+    if (record.department) line.department = record.department;
+    return JSON.stringify(line);
+  });
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.writeFileSync(historyPath, lines.join('\n') + (lines.length ? '\n' : ''));
+}
+
+/**
+ * Index records by service id (or department URL), oldest first.
+ */
+function indexHistory(records) {
+  const index = new Map();
+  for (const record of records) {
+    const key = historyKey(record);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(record);
+  }
+  for (const serviceRecords of index.values()) {
+    serviceRecords.sort((a, b) => String(a.checkedAt).localeCompare(String(b.checkedAt)));
+  }
+  return index;
+}
+
+/**
+ * Summarize one service's runs (oldest first, current URL only) into
+ * { state, escalated, consecutiveFailures, firstFailedAt, lastOkAt,
+ *   failuresInWindow, flips, runs }.
+ */
+function classifyHistory(runs, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+
+  let consecutiveFailures = 0;
+  for (let i = runs.length - 1; i >= 0 && isFailure(runs[i].status); i--) {
+    consecutiveFailures++;
+  }
+
+  const lastOk = [...runs].reverse().find(run => !isFailure(run.status));
+  const firstFailed = consecutiveFailures ? runs[runs.length - consecutiveFailures] : null;
+
+  const recent = runs.slice(-config.window);
+  const failuresInWindow = recent.filter(run => isFailure(run.status)).length;
+  let flips = 0;
+  for (let i = 1; i < recent.length; i++) {
+    if (isFailure(recent[i].status) !== isFailure(recent[i - 1].status)) flips++;
+  }
+
+  const latest = runs[runs.length - 1];
+  let state = 'healthy';
+  if (consecutiveFailures >= config.failureThreshold) {
+    state = 'dead';
+  } else if (flips >= config.flapThreshold) {
+    state = 'flaky';
+  } else if (consecutiveFailures > 0 || failuresInWindow > 0 || (latest && latest.elapsed > config.slowMs)) {
+    state = 'degraded';
+  }
+
+  return {
+    state,
+    escalated: state === 'dead',
+    consecutiveFailures,
+    firstFailedAt: firstFailed ? toDate(firstFailed.checkedAt) : null,
+    lastOkAt: lastOk ? toDate(lastOk.checkedAt) : null,
+    failuresInWindow,
+    flips,
+    runs: runs.length,
+  };
+}
+
+/**
+ * Classify a service (or department homepage) using its stored history
+ * plus this run's record.
+ */
+function assessService(target, record, historyIndex, options = {}) {
+  const past = (historyIndex.get(historyKey({ id: target.id ?? null, url: target.url })) || [])
+    .filter(run => run.url === target.url);
+  return classifyHistory(record ? [...past, record] : past, options);
+}
+
+/**
+ * Distinct department homepages, each with the departments and services
+ * that link to it, as { id: null, url, names, serviceIds, department }
+ * targets for toRecord() and assessService()
+ */
+function collectDepartmentUrls(services) {
+  const byUrl = new Map();
+  for (const service of services) {
+    if (!service.departmentUrl) continue;
+    if (!byUrl.has(service.departmentUrl)) {
+      byUrl.set(service.departmentUrl, { id: null, url: service.departmentUrl, names: [], serviceIds: [] });
+    }
+    const entry = byUrl.get(service.departmentUrl);
+    const name = service.department?.en;
+    if (name && !entry.names.includes(name)) entry.names.push(name);
+    entry.serviceIds.push(service.id);
+  }
+  for (const entry of byUrl.values()) {
+    entry.department = entry.names.join(' / ');
+  }
+  return [...byUrl.values()];
+}
+
+function countStates(assessments) {
+  const counts = { healthy: 0, flaky: 0, degraded: 0, dead: 0 };
+  for (const assessment of assessments) {
+    counts[assessment.state]++;
+  }
+  return counts;
+}
+
+module.exports = {
+  DEFAULTS,
+  toRecord,
+  loadHistory,
+  saveHistory,
+  indexHistory,
+  classifyHistory,
+  assessService,
+  countStates,
+  collectDepartmentUrls,
+};
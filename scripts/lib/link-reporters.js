@@ -0,0 +1,228 @@
+/**
+ * Link Check Reporters
+ *
+ * Serializers for check-links.js results in formats other tools read:
+ * JUnit XML for CI test dashboards, SARIF 2.1.0 for code scanning, CSV for
+ * spreadsheet triage and NDJSON (one line per link, written as each check
+ * finishes). The Markdown and JSON reports stay in check-links.js.
+ *
+ * Every reporter works from the flat rows built by toRow(), one per
+ * service and one per department homepage. A row's `failed` flag is set by
+ * the caller from its --fail-on policy; only failed rows count as JUnit
+ * failures or SARIF errors.
+ */
+
+const STATUSES = ['broken', 'soft_404', 'redirect_suspicious', 'timeout', 'error'];
+
+const STATUS_DESCRIPTIONS = {
+  broken: 'Link returns an HTTP error status',
+  soft_404: 'Page loads but says the content is gone',
+  redirect_suspicious: 'Link redirects to a different domain',
+  timeout: 'Server did not respond in time',
+  error: 'Connection failed (DNS, TLS, refused or reset)',
+};
+
+const CSV_COLUMNS = [
+  'kind', 'id', 'name', 'url', 'serviceIds', 'status', 'httpStatus', 'reason', 'errorKind',
+  'finalUrl', 'redirectKind', 'elapsed', 'state', 'escalated', 'failed', 'consecutiveFailures', 'firstFailedAt', 'lastOkAt',
+];
+
+/**
+ * Flatten a check result ({ service | department, status, ..., health,
+ * failed }) into a report row.
+ */
+function toRow(result) {
+  const isService = Boolean(result.service);
+  const target = isService ? result.service : result.department;
+  const health = result.health || {};
+  return {
+    kind: isService ? 'service' : 'department',
+    id: isService ? target.id : null,
+    name: isService ? (target.name?.en || '') : (target.department || ''),
+    url: target.url,
+    serviceIds: isService ? [target.id] : target.serviceIds,
+    status: result.status,
+    httpStatus: result.httpStatus ?? null,
+    reason: result.reason ?? null,
+    errorKind: result.errorKind ?? null,
+    finalUrl: result.finalUrl ?? null,
+    redirectKind: result.redirect && result.redirect.kind !== 'none' ? result.redirect.kind : null,
+    elapsed: result.elapsed ?? null,
+    state: health.state ?? null,
+    escalated: Boolean(health.escalated),
+    failed: Boolean(result.failed),
+    consecutiveFailures: health.consecutiveFailures ?? 0,
+    firstFailedAt: health.firstFailedAt ?? null,
+    lastOkAt: health.lastOkAt ?? null,
+  };
+}
+
+function rowLabel(row) {
+  return row.kind === 'service' ? `ID ${row.id}: ${row.name}` : row.name || row.url;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function rowDetails(row) {
+  return [
+    `URL: ${row.url}`,
+    row.finalUrl && row.finalUrl !== row.url ? `Final URL: ${row.finalUrl}` : null,
+    row.httpStatus ? `HTTP status: ${row.httpStatus}` : null,
+    `State: ${row.state}${row.escalated ? ' (escalated)' : ''}`,
+    row.firstFailedAt ? `Failing since: ${row.firstFailedAt} (${row.consecutiveFailures} run${row.consecutiveFailures === 1 ? '' : 's'} in a row)` : null,
+    `Last OK: ${row.lastOkAt || 'never recorded'}`,
+    row.kind === 'department' ? `Used by services: ${row.serviceIds.join(', ')}` : null,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * JUnit XML: one test suite for services and one for department links.
+ * Failed rows are <failure>s; other failing links (not escalated yet, or
+ * with a status outside --fail-on) are <skipped> so they stay visible
+ * without failing the build.
+ */
+function toJUnit(rows, { generated } = {}) {
+  const suites = [
+    { name: 'services', rows: rows.filter(row => row.kind === 'service') },
+    { name: 'departments', rows: rows.filter(row => row.kind === 'department') },
+  ];
+  const count = (list, fn) => list.filter(fn).length;
+  const isSkipped = row => row.status !== 'ok' && !row.failed;
+  const seconds = list => (list.reduce((sum, row) => sum + (row.elapsed || 0), 0) / 1000).toFixed(3);
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(`<testsuites name="check-links" tests="${rows.length}" failures="${count(rows, row => row.failed)}" skipped="${count(rows, isSkipped)}" time="${seconds(rows)}"${generated ? ` timestamp="${escapeXml(generated)}"` : ''}>`);
+  for (const suite of suites) {
+    lines.push(`  <testsuite name="${suite.name}" tests="${suite.rows.length}" failures="${count(suite.rows, row => row.failed)}" errors="0" skipped="${count(suite.rows, isSkipped)}" time="${seconds(suite.rows)}">`);
+    for (const row of suite.rows) {
+      const open = `    <testcase classname="check-links.${suite.name}" name="${escapeXml(rowLabel(row))}" time="${((row.elapsed || 0) / 1000).toFixed(3)}"`;
+      if (row.failed) {
+        lines.push(`${open}>`);
+        lines.push(`      <failure type="${row.status}" message="${escapeXml(row.reason || row.status)}">${escapeXml(rowDetails(row))}</failure>`);
+        lines.push('    </testcase>');
+      } else if (isSkipped(row)) {
+        lines.push(`${open}>`);
+        lines.push(`      <skipped message="${escapeXml(`${row.status}: ${row.reason || row.status} (${row.escalated ? 'not in --fail-on' : `watching, ${row.state}`})`)}"/>`);
+        lines.push('    </testcase>');
+      } else {
+        lines.push(`${open}/>`);
+      }
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+/**
+ * SARIF 2.1.0 log with one rule per failure status. Results point at the
+ * link's line in the catalog file when `catalogText` is given. Failed rows
+ * are errors, other escalated links warnings, and links still being
+ * watched notes.
+ */
+function toSarif(rows, { catalogPath = 'service-catalog-v8.json', catalogText = '', generated } = {}) {
+  const catalogLines = String(catalogText).split('\n');
+
+  function findLine(row) {
+    let from = 0;
+    let needle = `"departmentUrl": ${JSON.stringify(row.url)}`;
+    if (row.kind === 'service') {
+      from = catalogLines.findIndex(line => line.trim() === `"id": ${row.id},`);
+      if (from === -1) return null;
+      needle = `"url": ${JSON.stringify(row.url)}`;
+    }
+    for (let i = from; i < catalogLines.length; i++) {
+      if (catalogLines[i].includes(needle)) return i + 1;
+    }
+    return null;
+  }
+
+  const results = rows.filter(row => row.status !== 'ok').map(row => {
+    const line = findLine(row);
+    return {
+      ruleId: row.status,
+      ruleIndex: STATUSES.indexOf(row.status),
+      level: row.failed ? 'error' : (row.escalated ? 'warning' : 'note'),
+      message: { text: `${rowLabel(row)}: ${row.reason || STATUS_DESCRIPTIONS[row.status]} (${row.url})` },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: catalogPath },
+          ...(line ? { region: { startLine: line } } : {}),
+        },
+      }],
+      partialFingerprints: { linkUrl: `${row.kind}:${row.url}` },
+      properties: {
+        kind: row.kind,
+        serviceIds: row.serviceIds,
+        httpStatus: row.httpStatus,
+        finalUrl: row.finalUrl,
+        state: row.state,
+        consecutiveFailures: row.consecutiveFailures,
+        firstFailedAt: row.firstFailedAt,
+        lastOkAt: row.lastOkAt,
+      },
+    };
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'check-links',
+          informationUri: 'https://github.com/bntcurtis/colorado-digital-services-navigator',
+          rules: STATUSES.map(status => ({
+            id: status,
+            shortDescription: { text: STATUS_DESCRIPTIONS[status] },
+          })),
+        },
+      },
+      invocations: [{ executionSuccessful: true, ...(generated ? { endTimeUtc: generated } : {}) }],
+      results,
+    }],
+  }, null, 2);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a header row and one row per link, healthy ones included, so
+ * the sheet can be sorted and filtered freely.
+ */
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map(column => csvCell(row[column])).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * One NDJSON line: { type: 'result', ...row } for a link, or
+ * { type: 'summary', ... } to close the stream.
+ */
+function toNdjsonLine(type, data) {
+  return JSON.stringify({ type, ...data });
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_DESCRIPTIONS,
+  toRow,
+  toJUnit,
+  toSarif,
+  toCsv,
+  toNdjsonLine,
+};
@@ -0,0 +1,135 @@
+/**
+ * Redirect Classification
+ *
+ * Sorts the redirect chain recorded by http.follow() into what it most
+ * likely means for a catalog link:
+ *
+ *   none              no redirect
+ *   permanent         only 301/308 hops, ending on an ordinary page
+ *   temporary         at least one 302/303/307 hop
+ *   protocol_upgrade  http:// to https:// on the same host and path
+ *   to_login          ends on a login or single sign-on page
+ *   to_domain_root    ends on the site's home page when the link wasn't
+ *   cross_domain      ends on a different base domain
+ *
+ * `kind` is the most telling of these (cross_domain, to_login,
+ * to_domain_root, protocol_upgrade, then permanent or temporary); `flags`
+ * lists all that apply. Only a permanent chain that doesn't land on a
+ * login page, a home page or another domain is `safeToRepair`.
+ */
+
+const PERMANENT_STATUSES = new Set([301, 308]);
+
+const LOGIN_HOST = /^(login|signin|sso|auth|idp|accounts?|myaccount|adfs)\./i;
+const LOGIN_PATH = /(^|\/)(log-?in|sign-?in|sign-?on|sso|auth|oauth2?|saml2?|adfs|cas\/login|idp)(\/|\.|$)/i;
+// SAML and OAuth sign-in requests. Return-URL parameters (returnUrl=, CAS's
+// service=) only count on a login path, which LOGIN_PATH already covers:
+// plenty of ordinary pages here take ?service=
+const LOGIN_QUERY = /[?&](samlrequest|relaystate|redirect_uri)=/i;
+const ROOT_PATH = /^\/((index|default|home)(\.(html?|php|aspx?))?|home|en|es)?\/?$/i;
+
+/**
+ * Registrable domain ("colorado.gov" for "dmv.colorado.gov"), keeping the
+ * extra label of .co.us and .state.co.us hosts
+ */
+function getBaseDomain(hostname) {
+  const parts = String(hostname || '').split('.');
+  if (parts.length >= 3) {
+    const lastThree = parts.slice(-3).join('.');
+    if (lastThree.match(/\.(state\.co\.us|co\.us)$/)) {
+      return parts.slice(-4).join('.');
+    }
+  }
+  return parts.slice(-2).join('.');
+}
+
+/**
+ * True when a link ended up on a different site altogether (another base
+ * domain, or a URL that doesn't parse)
+ */
+function isSuspiciousRedirect(originalUrl, finalUrl) {
+  try {
+    const originalHost = new URL(originalUrl).hostname;
+    const finalHost = new URL(finalUrl).hostname;
+    if (originalHost === finalHost) return false;
+    return getBaseDomain(originalHost) !== getBaseDomain(finalHost);
+  } catch {
+    return true;
+  }
+}
+
+function isLoginUrl(url) {
+  return LOGIN_HOST.test(url.hostname) || LOGIN_PATH.test(url.pathname) || LOGIN_QUERY.test(url.search);
+}
+
+function isRootUrl(url) {
+  return ROOT_PATH.test(url.pathname) && !url.search;
+}
+
+/**
+ * Classify a chain of { url, status } hops (as returned by http.follow()).
+ * Returns { kind, flags, permanent, safeToRepair, chain }.
+ */
+function classifyRedirects(chain) {
+  const hops = Array.isArray(chain) ? chain : [];
+  if (hops.length < 2) {
+    return { kind: 'none', flags: [], permanent: false, safeToRepair: false, chain: hops };
+  }
+
+  let first;
+  let last;
+  try {
+    first = new URL(hops[0].url);
+    last = new URL(hops[hops.length - 1].url);
+  } catch {
+    return { kind: 'temporary', flags: ['temporary'], permanent: false, safeToRepair: false, chain: hops };
+  }
+
+  const permanent = hops.slice(0, -1).every(hop => PERMANENT_STATUSES.has(hop.status));
+  const flags = [permanent ? 'permanent' : 'temporary'];
+  const sameButProtocol = first.host === last.host && first.pathname === last.pathname && first.search === last.search;
+  if (first.protocol === 'http:' && last.protocol === 'https:' && sameButProtocol) flags.push('protocol_upgrade');
+  if (isLoginUrl(last) && !isLoginUrl(first)) flags.push('to_login');
+  if (isRootUrl(last) && !isRootUrl(first)) flags.push('to_domain_root');
+  if (getBaseDomain(first.hostname.toLowerCase()) !== getBaseDomain(last.hostname.toLowerCase())) flags.push('cross_domain');
+
+  const kind = ['cross_domain', 'to_login', 'to_domain_root', 'protocol_upgrade'].find(flag => flags.includes(flag))
+    || flags[0];
+
+  return {
+    kind,
+    flags,
+    permanent,
+    safeToRepair: permanent && !flags.includes('to_login') && !flags.includes('to_domain_root') && !flags.includes('cross_domain'),
+    chain: hops,
+  };
+}
+
+/**
+ * "http://a (301) → https://a (200)"
+ */
+function formatChain(chain) {
+  return (chain || []).map(hop => `${hop.url} (${hop.status})`).join(' → ');
+}
+
+/**
+ * Report fields for a classified chain: { redirectKind, redirectChain }, or
+ * nothing when there was no redirect
+ */
+function redirectFields(redirect) {
+  if (!redirect || redirect.kind === 'none') return {};
+  return {
+    redirectKind: redirect.kind,
+    redirectChain: redirect.chain.map(hop => ({ url: hop.url, status: hop.status })),
+  };
+}
+
+module.exports = {
+  classifyRedirects,
+  formatChain,
+  getBaseDomain,
+  isSuspiciousRedirect,
+  isLoginUrl,
+  isRootUrl,
+  redirectFields,
+};
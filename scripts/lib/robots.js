@@ -0,0 +1,256 @@
+/**
+ * robots.txt Support
+ *
+ * Parses robots.txt (RFC 9309 plus the common Crawl-delay and Sitemap
+ * extensions) and keeps a per-host cache so the discovery and page-info
+ * fetchers can ask "may we fetch this URL?" before making a request.
+ *
+ * - Rules are picked for our user agent's product token (the part before
+ *   the "/"), falling back to the "*" group. A group named
+ *   "Colorado-Service-Navigator" also applies to the longer tool tokens
+ *   ("Colorado-Service-Navigator-CatalogAgent" and so on).
+ * - The longest matching Allow/Disallow path wins; Allow wins a tie.
+ *   "*" and a trailing "$" are supported.
+ * - Crawl-delay is passed to the HTTP client's per-host rate limit.
+ * - A missing robots.txt (4xx) allows everything. A server error or an
+ *   unreachable host disallows the whole host until the entry expires,
+ *   as RFC 9309 asks.
+ * - URLs that are skipped are recorded so reports can list them.
+ *
+ * Usage:
+ *   const { createRobotsCache } = require('./lib/robots');
+ *   const robots = createRobotsCache({ http, userAgent: CONFIG.userAgent });
+ *   if (await robots.isAllowed(url, 'sitemap')) { ... }
+ */
+
+const DEFAULTS = {
+  ttl: 24 * 60 * 60 * 1000,
+  // Crawl-delay values above this are capped so one host can't stall a run
+  maxCrawlDelay: 30000,
+  maxBytes: 500 * 1024,
+};
+
+const ALLOW_ALL = { groups: [], sitemaps: [] };
+
+function productToken(userAgent) {
+  return String(userAgent || '').split('/')[0].trim().toLowerCase();
+}
+
+/**
+ * Parse robots.txt text into { groups, sitemaps }. Each group has the user
+ * agents it applies to, its Allow/Disallow rules and an optional
+ * crawlDelay in seconds.
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      // Sitemap lines stand apart from groups
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ type: field, path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Merge every group that applies to the user agent. Named groups win over
+ * "*"; if none name us, the "*" groups apply.
+ */
+function selectRules(robots, userAgent) {
+  const token = productToken(userAgent);
+  const named = robots.groups.filter(group => group.agents.some(agent => agent !== '*' && token.startsWith(agent)));
+  const groups = named.length ? named : robots.groups.filter(group => group.agents.includes('*'));
+
+  const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: groups.flatMap(group => group.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null,
+  };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Compare paths in one percent-encoding so "/a%2fb" and "/a/b" rules behave
+function normalizePath(value) {
+  try {
+    return encodeURI(decodeURI(value));
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Return the winning rule for a path (longest match, Allow on a tie), or
+ * null when no rule matches and the path is allowed.
+ */
+function matchRule(rules, pathWithQuery) {
+  const target = normalizePath(pathWithQuery);
+  let best = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(normalizePath(rule.path)).test(target)) continue;
+    if (!best
+      || rule.path.length > best.path.length
+      || (rule.path.length === best.path.length && rule.type === 'allow')) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+/**
+ * Per-host robots.txt cache. Options:
+ *   http        client from lib/http.js (used to fetch robots.txt and to
+ *               apply Crawl-delay)
+ *   userAgent   our User-Agent; its product token selects the rules
+ *   ttl         how long a host's rules are kept, in ms
+ *   now         clock hook for tests
+ */
+function createRobotsCache(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const now = config.now || Date.now;
+  const entries = new Map();
+  const skipped = new Map();
+
+  async function fetchRobots(origin) {
+    try {
+      const response = await config.http.request(`${origin}/robots.txt`);
+      if (response.status >= 400 && response.status < 500) {
+        return { robots: ALLOW_ALL, status: response.status };
+      }
+      if (!response.ok) {
+        return { robots: ALLOW_ALL, status: response.status, disallowAll: true };
+      }
+      const text = (await response.text()).slice(0, config.maxBytes);
+      return { robots: parseRobots(text), status: response.status };
+    } catch (error) {
+      return { robots: ALLOW_ALL, status: null, disallowAll: true, error: error.kind || error.message };
+    }
+  }
+
+  /**
+   * Load (or reuse) the rules for a URL's host. Resolves with the cache
+   * entry, or null for URLs that aren't http(s).
+   */
+  async function load(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+    const origin = parsed.origin;
+    const cached = entries.get(origin);
+    if (cached && cached.expires > now()) return cached.pending;
+
+    const pending = fetchRobots(origin).then(result => {
+      const selected = selectRules(result.robots, config.userAgent);
+      const entry = { origin, ...result, ...selected };
+      if (selected.crawlDelay && config.http.setHostDelay) {
+        config.http.setHostDelay(parsed.hostname, Math.min(config.maxCrawlDelay, selected.crawlDelay * 1000));
+      }
+      return entry;
+    });
+    entries.set(origin, { pending, expires: now() + config.ttl });
+    return pending;
+  }
+
+  /**
+   * Check a URL against its host's rules. Resolves with
+   * { allowed, rule, reason }.
+   */
+  async function check(url) {
+    const entry = await load(url);
+    if (!entry) return { allowed: true, rule: null, reason: null };
+
+    const parsed = new URL(url);
+    if (parsed.pathname === '/robots.txt') return { allowed: true, rule: null, reason: null };
+
+    if (entry.disallowAll) {
+      const cause = entry.status ? `HTTP ${entry.status}` : (entry.error || 'unreachable');
+      return { allowed: false, rule: null, reason: `robots.txt unavailable (${cause})` };
+    }
+
+    const rule = matchRule(entry.rules, parsed.pathname + parsed.search);
+    if (rule && rule.type === 'disallow') {
+      return { allowed: false, rule: rule.path, reason: `Disallow: ${rule.path}` };
+    }
+    return { allowed: true, rule: rule ? rule.path : null, reason: null };
+  }
+
+  /**
+   * Like check(), but resolves with a boolean and records skipped URLs
+   * (with the fetcher that asked) for the report.
+   */
+  async function isAllowed(url, source) {
+    const result = await check(url);
+    if (!result.allowed && !skipped.has(url)) {
+      skipped.set(url, { url, source: source || null, rule: result.rule, reason: result.reason });
+    }
+    return result.allowed;
+  }
+
+  /**
+   * Sitemap URLs listed in a host's robots.txt.
+   */
+  async function getSitemaps(url) {
+    const entry = await load(url);
+    return entry ? entry.robots.sitemaps : [];
+  }
+
+  function getSkipped() {
+    return [...skipped.values()];
+  }
+
+  return { load, check, isAllowed, getSitemaps, getSkipped };
+}
+
+module.exports = {
+  parseRobots,
+  selectRules,
+  matchRule,
+  createRobotsCache,
+};
@@ -0,0 +1,241 @@
+/**
+ * Soft-404 Detector
+ *
+ * Scores whether a page that answered 200 is really a "not found" page.
+ * No single phrase decides it: each signal found adds evidence with a
+ * weight, the weights are combined (1 - Π(1 - w)), and the page is flagged
+ * when the confidence reaches `threshold`. Signals:
+ *
+ * - title patterns ("404", "Page not found", "Página no encontrada", a
+ *   title that is only "Error") — not any title containing "error"
+ * - English and Spanish not-found phrases in the main content, with the
+ *   nav, header, footer and aside boilerplate removed first
+ * - thin main content
+ * - a probe: a made-up URL on the same host is fetched once per host. If
+ *   the host answers it with 200, a page whose main content matches that
+ *   not-found template is strong evidence; if it answers with a real 404,
+ *   the host doesn't serve soft 404s and the confidence is scaled down
+ *
+ * Each verdict is { detected, confidence, evidence, reason, rules }, where
+ * evidence lists { signal, detail, weight } and rules is RULES_KEY (a hash
+ * of the patterns and weights, so cached verdicts are redone when they
+ * change).
+ *
+ * scripts/fixtures/soft404/ holds saved pages with the expected verdicts;
+ * `node scripts/check-links.js --replay-fixtures` checks the detector
+ * against them. Run it after changing a pattern or weight.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  threshold: 0.6,
+  // Main content shorter than this counts as thin
+  thinChars: 250,
+  // Only the start of the main content is searched for phrases
+  sampleChars: 5000,
+  // Word-set similarity at which a page "is" the host's not-found template
+  probeMatch: 0.85,
+  // Confidence is multiplied by this when the host returns real 404s
+  hardNotFoundFactor: 0.85,
+};
+
+const TITLE_PATTERNS = [
+  { pattern: /\b404\b/i, weight: 0.6 },
+  { pattern: /\b(page\s+)?not\s+found\b/i, weight: 0.55 },
+  { pattern: /p[áa]gina\s+no\s+encontrada|no\s+se\s+(encontr[óo]|encuentra)/i, weight: 0.55 },
+  { pattern: /page\s+(missing|unavailable)/i, weight: 0.4 },
+  // "Error" on its own (optionally "| Site name"), not "Report an Error..."
+  { pattern: /^\s*(an?\s+)?error(\s+(page|occurred))?\s*([|\-–—:].*)?$/i, weight: 0.4 },
+];
+
+const CONTENT_PATTERNS = [
+  // English
+  { pattern: /page\s+(not\s+found|doesn't\s+exist|does\s+not\s+exist|has\s+been\s+removed)/i, weight: 0.45 },
+  { pattern: /\b(error\s+404|404\s+(error|page|not\s+found))\b/i, weight: 0.45 },
+  { pattern: /\b404\b/i, weight: 0.15 },
+  { pattern: /the\s+requested\s+(page|resource|url)\s+(was\s+not|could\s+not|cannot)/i, weight: 0.45 },
+  { pattern: /this\s+page\s+(no\s+longer\s+exists|is\s+no\s+longer\s+available|cannot\s+be\s+found|could\s+not\s+be\s+found)/i, weight: 0.45 },
+  { pattern: /we\s+(couldn't|could\s+not|can't|cannot)\s+find\s+(the|that|this)\s+page/i, weight: 0.45 },
+  { pattern: /we\s+(couldn't|could\s+not|can't|cannot)\s+find/i, weight: 0.25 },
+  { pattern: /content\s+(not\s+found|is\s+unavailable|has\s+moved)/i, weight: 0.3 },
+  { pattern: /sorry.{0,80}?(not\s+found|doesn't\s+exist|no\s+longer\s+available)/i, weight: 0.3 },
+  { pattern: /has\s+been\s+(moved|deleted|removed|archived)/i, weight: 0.15 },
+  { pattern: /looking\s+for\s+something\?/i, weight: 0.1 },
+  { pattern: /\b(oops|uh\s*oh)\b/i, weight: 0.1 },
+  // Spanish
+  { pattern: /p[áa]gina\s+(no\s+encontrada|no\s+existe|que\s+busca(s)?\s+no\s+(existe|est[áa]\s+disponible|se\s+encuentra))/i, weight: 0.45 },
+  { pattern: /no\s+(pudimos|podemos|se\s+pudo)\s+encontrar/i, weight: 0.35 },
+  { pattern: /lo\s+sentimos.{0,80}?no\s+(se\s+encuentra|est[áa]\s+disponible|existe)/i, weight: 0.3 },
+  { pattern: /ha\s+sido\s+(eliminada|eliminado|movida|movido|retirada|retirado)/i, weight: 0.15 },
+];
+
+const BOILERPLATE_TAGS = ['nav', 'header', 'footer', 'aside'];
+
+const RULES_KEY = crypto.createHash('sha256')
+  .update(JSON.stringify([
+    TITLE_PATTERNS.map(rule => [String(rule.pattern), rule.weight]),
+    CONTENT_PATTERNS.map(rule => [String(rule.pattern), rule.weight]),
+    DEFAULTS,
+  ]))
+  .digest('hex')
+  .slice(0, 12);
+
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', ndash: '–', mdash: '—' };
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (entity, name) => named[name.toLowerCase()] ?? entity);
+}
+
+function toText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function extractTitle(html) {
+  const match = String(html || '').match(/<title[^>]*>([^<]+)<\/title>/i);
+  return match ? decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : null;
+}
+
+/**
+ * Visible text of the page's main content: <main> (or <article>) when the
+ * page has one, otherwise <body>, with nav/header/footer/aside removed.
+ */
+function extractMainText(html) {
+  let doc = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|template)\b[\s\S]*?<\/\1>/gi, ' ');
+
+  const container = doc.match(/<main\b[^>]*>([\s\S]*)<\/main>/i)
+    || doc.match(/<article\b[^>]*>([\s\S]*)<\/article>/i)
+    || doc.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+  if (container) doc = container[1];
+
+  for (const tag of BOILERPLATE_TAGS) {
+    doc = doc.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  }
+  return toText(doc);
+}
+
+function wordSet(text) {
+  return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+}
+
+function similarity(textA, textB) {
+  const a = wordSet(textA);
+  const b = wordSet(textB);
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Score a page. `probe` is what the host returned for a made-up URL:
+ * { status, mainText } (mainText only for 2xx), or null if unknown.
+ */
+function scoreSoft404(html, { probe = null, ...options } = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const evidence = [];
+
+  const title = extractTitle(html);
+  if (title) {
+    for (const rule of TITLE_PATTERNS) {
+      if (rule.pattern.test(title)) {
+        evidence.push({ signal: 'title', detail: `title "${title}"`, weight: rule.weight });
+        break;
+      }
+    }
+  }
+
+  const mainText = extractMainText(html);
+  const sample = mainText.slice(0, config.sampleChars);
+  for (const rule of CONTENT_PATTERNS) {
+    const match = sample.match(rule.pattern);
+    if (match) {
+      evidence.push({ signal: 'content', detail: `main content says "${match[0]}"`, weight: rule.weight });
+    }
+  }
+
+  if (mainText.length < config.thinChars) {
+    evidence.push({ signal: 'thin', detail: `thin main content (${mainText.length} characters)`, weight: 0.15 });
+  }
+
+  if (probe && probe.mainText != null) {
+    const score = similarity(mainText, probe.mainText);
+    if (score >= config.probeMatch) {
+      evidence.push({ signal: 'probe', detail: `matches this host's not-found page (similarity ${score.toFixed(2)})`, weight: 0.8 });
+    } else if (score >= 0.5 && mainText.length <= probe.mainText.length * 1.2) {
+      evidence.push({ signal: 'template', detail: `little content beyond this host's not-found template (similarity ${score.toFixed(2)})`, weight: 0.3 });
+    }
+  }
+
+  let confidence = 1 - evidence.reduce((remaining, item) => remaining * (1 - item.weight), 1);
+  if (probe && probe.status >= 400 && confidence > 0) {
+    confidence *= config.hardNotFoundFactor;
+    evidence.push({ signal: 'probe', detail: `host returns HTTP ${probe.status} for missing pages`, weight: -(1 - config.hardNotFoundFactor) });
+  }
+  confidence = Math.round(confidence * 100) / 100;
+
+  const detected = confidence >= config.threshold;
+  const strongest = evidence.filter(item => item.weight > 0).sort((a, b) => b.weight - a.weight).slice(0, 2);
+  return {
+    detected,
+    confidence,
+    evidence,
+    reason: detected ? `Soft 404 (confidence ${confidence.toFixed(2)}): ${strongest.map(item => item.detail).join('; ')}` : null,
+    rules: RULES_KEY,
+  };
+}
+
+/**
+ * Detector that probes each host (once, through the shared HTTP client)
+ * when a page shows any sign of being a not-found page.
+ */
+function createSoft404Detector({ http, ...options } = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const probes = new Map();
+
+  function probeHost(url) {
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch {
+      return Promise.resolve(null);
+    }
+    if (!probes.has(origin)) {
+      const probeUrl = `${origin}/soft404-probe-${crypto.randomBytes(6).toString('hex')}`;
+      probes.set(origin, (async () => {
+        try {
+          const response = await http.request(probeUrl, { retries: 0 });
+          const body = await response.text();
+          return response.ok ? { status: response.status, mainText: extractMainText(body) } : { status: response.status };
+        } catch {
+          return null;
+        }
+      })());
+    }
+    return probes.get(origin);
+  }
+
+  async function detect(html, url) {
+    const first = scoreSoft404(html, config);
+    if (!http || !url || !first.evidence.length) return first;
+    return scoreSoft404(html, { ...config, probe: await probeHost(url) });
+  }
+
+  return { detect };
+}
+
+module.exports = {
+  DEFAULTS,
+  RULES_KEY,
+  extractTitle,
+  extractMainText,
+  similarity,
+  scoreSoft404,
+  createSoft404Detector,
+};
@@ -0,0 +1,527 @@
+#!/usr/bin/env node
+/**
+ * Catalog Migration
+ *
+ * Moves a catalog between schema versions by replaying an ordered registry of
+ * migration steps. Each step declares the schema version it reads and the one
+ * it writes, a transform (up) and, where the change can be undone, a reverse
+ * (down). Registered steps:
+ *
+ *   2.0 → 3.0  Bilingual catalog: metadata becomes top-level fields, and
+ *              name, description, department, category and tags become
+ *              {en, es} objects
+ *   3.0 → 4.0  "Before you go" details (see scripts/migrate-schema-v4.js)
+ *
+ * The source version is read from the catalog itself (schemaVersion, or the
+ * shape for catalogs older than v4). After every step the output is checked
+ * against that step's target schema with scripts/validate-catalog.js, and the
+ * catalog is only written when the final result has no errors.
+ *
+ * Spanish text for 2.0 → 3.0 comes from a reference bilingual catalog
+ * (service-catalog-v8.json by default) by exact English match, categories
+ * from the schema's paired enums, and tags from config/tag-translations.json.
+ * Anything without a translation keeps its English text and is listed so it
+ * can be translated by hand.
+ *
+ * --replay-archive migrates archive/catalog/service-catalog-v7.json up to the
+ * latest version, checks the result, then migrates it back down and checks
+ * that ids, URLs and English text survived the round trip. Run it after
+ * adding a step.
+ *
+ * Exit codes: 0 = success, 1 = verification failed, 2 = fatal error or
+ * unknown argument (nothing is read or written).
+ *
+ * Usage:
+ *   node scripts/migrate-catalog.js [--catalog <file>] [--to <version>] [--out <file>] [--reference <file>] [--dry-run]
+ *   node scripts/migrate-catalog.js --replay-archive
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateCatalog } = require('./validate-catalog');
+const { loadTagTranslations, localizeTags } = require('./migrate-tags');
+const migrateSchemaV4 = require('./migrate-schema-v4');
+
+const CONFIG = {
+  catalogPath: path.join(__dirname, '..', 'service-catalog-v8.json'),
+  referencePath: path.join(__dirname, '..', 'service-catalog-v8.json'),
+  archiveCatalogPath: path.join(__dirname, '..', 'archive', 'catalog', 'service-catalog-v7.json'),
+  translationsPath: path.join(__dirname, '..', 'config', 'tag-translations.json'),
+  schemaPaths: {
+    '2.0': path.join(__dirname, '..', 'archive', 'schema', 'service-schema-v2.json'),
+    '3.0': path.join(__dirname, '..', 'archive', 'schema', 'service-schema-v3.json'),
+    '4.0': path.join(__dirname, '..', 'service-schema-v4.json'),
+  },
+  maxDiffLines: 40,
+};
+
+// Fields that were plain strings in v2 and {en, es} objects from v3 on
+const LOCALIZED_FIELDS = ['name', 'description', 'department'];
+
+const USAGE = [
+  'Usage:',
+  '  node scripts/migrate-catalog.js [--catalog <file>] [--to <version>] [--out <file>] [--reference <file>] [--dry-run]',
+  '  node scripts/migrate-catalog.js --replay-archive',
+].join('\n');
+
+const VALUE_OPTIONS = {
+  '--catalog': 'catalog',
+  '--to': 'to',
+  '--out': 'out',
+  '--reference': 'reference',
+};
+
+/**
+ * Parse the command line. Unknown arguments and options missing their value
+ * are collected in `errors` rather than ignored, so a typo such as --dryrun
+ * can't turn a dry run into a real one.
+ */
+function parseArgs(argv) {
+  const args = {
+    catalog: CONFIG.catalogPath,
+    to: null,
+    out: null,
+    reference: CONFIG.referencePath,
+    dryRun: false,
+    replayArchive: false,
+    help: false,
+    errors: [],
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS[arg]) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        args.errors.push(`${arg} needs a value`);
+      } else {
+        args[VALUE_OPTIONS[arg]] = value;
+        i++;
+      }
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--replay-archive') {
+      args.replayArchive = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else {
+      args.errors.push(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+function isLocalized(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// "v6.1" → "6.1.0"; the v2 catalogs used a loose version string
+function toSemver(version) {
+  const parts = String(version || '0').replace(/^v/i, '').split('.').map(part => parseInt(part, 10) || 0);
+  while (parts.length < 3) parts.push(0);
+  return parts.slice(0, 3).join('.');
+}
+
+function getCategoryPairs(schema) {
+  const category = schema?.definitions?.Category?.properties || {};
+  const en = category.en?.enum || [];
+  const es = category.es?.enum || [];
+  return new Map(en.map((value, index) => [value, es[index]]));
+}
+
+// English → Spanish lookups built from a bilingual catalog
+function buildTranslationIndex(referenceCatalog) {
+  const index = {};
+  LOCALIZED_FIELDS.forEach(field => { index[field] = new Map(); });
+
+  for (const service of referenceCatalog?.services || []) {
+    LOCALIZED_FIELDS.forEach(field => {
+      const value = service[field];
+      if (isLocalized(value) && value.en && value.es && !index[field].has(value.en)) {
+        index[field].set(value.en, value.es);
+      }
+    });
+  }
+
+  return index;
+}
+
+function translate(context, field, text, serviceId) {
+  const es = context.translationIndex[field]?.get(text);
+  if (es) return { en: text, es };
+  context.notes.push({ serviceId, message: `No Spanish ${field} found; kept the English text` });
+  return { en: text, es: text };
+}
+
+function upgradeV2ToV3(catalog, context) {
+  const metadata = catalog.metadata || {};
+  const categoryPairs = getCategoryPairs(context.schemas['3.0']);
+
+  const services = catalog.services.map(service => {
+    const next = { ...service };
+
+    LOCALIZED_FIELDS.forEach(field => {
+      if (typeof service[field] === 'string') {
+        next[field] = translate(context, field, service[field], service.id);
+      }
+    });
+
+    if (typeof service.category === 'string') {
+      const es = categoryPairs.get(service.category);
+      if (!es) {
+        context.notes.push({ serviceId: service.id, message: `Category "${service.category}" has no Spanish pair` });
+      }
+      next.category = { en: service.category, es: es || service.category };
+    }
+
+    const tags = localizeTags(service.tags, context.tagTranslations);
+    if (tags.missing.length > 0) {
+      context.notes.push({ serviceId: service.id, message: `Tags without a Spanish translation: ${tags.missing.join(', ')}` });
+    }
+    next.tags = tags.tags;
+
+    return next;
+  });
+
+  return {
+    version: toSemver(metadata.version),
+    lastUpdated: metadata.lastUpdated,
+    serviceCount: services.length,
+    languages: ['en', 'es'],
+    services,
+  };
+}
+
+// Spanish text and eligibility hints have no v2 equivalent and are dropped
+function downgradeV3ToV2(catalog) {
+  const services = catalog.services.map(service => {
+    const next = {};
+    for (const [key, value] of Object.entries(service)) {
+      if (value === null || key === 'eligibility') continue;
+      next[key] = isLocalized(value) && key !== 'tags' ? value.en : value;
+    }
+    if (isLocalized(service.tags)) next.tags = service.tags.en || [];
+    return next;
+  });
+
+  return {
+    metadata: {
+      version: `v${catalog.version}`,
+      lastUpdated: catalog.lastUpdated,
+      totalServices: services.length,
+    },
+    services,
+  };
+}
+
+// Ordered registry: each step's `to` must be the next step's `from`
+const MIGRATIONS = [
+  {
+    from: '2.0',
+    to: '3.0',
+    description: 'Bilingual catalog with localized names, departments, categories and tags',
+    up: upgradeV2ToV3,
+    down: downgradeV3ToV2,
+  },
+  {
+    from: '3.0',
+    to: '4.0',
+    description: '"Before you go" service details and schemaVersion marker',
+    up: catalog => migrateSchemaV4.migrateCatalog(catalog).catalog,
+    down: catalog => migrateSchemaV4.downgradeCatalog(catalog),
+  },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].to;
+
+function detectSchemaVersion(catalog) {
+  if (!catalog || typeof catalog !== 'object') return null;
+  if (typeof catalog.schemaVersion === 'string') return catalog.schemaVersion;
+  if (catalog.metadata && Array.isArray(catalog.services)) return '2.0';
+  if (typeof catalog.version === 'string' && Array.isArray(catalog.services)) return '3.0';
+  return null;
+}
+
+/**
+ * List the steps that take a catalog from one schema version to another,
+ * with direction 'up' or 'down'. Throws if there is no path or a step on a
+ * downward path has no reverse.
+ */
+function planMigration(from, to) {
+  const versions = [MIGRATIONS[0].from, ...MIGRATIONS.map(step => step.to)];
+  const start = versions.indexOf(from);
+  const end = versions.indexOf(to);
+  if (start === -1) throw new Error(`Unknown source schema version: ${from}`);
+  if (end === -1) throw new Error(`Unknown target schema version: ${to}`);
+
+  if (start <= end) {
+    return MIGRATIONS.slice(start, end).map(step => ({ step, direction: 'up' }));
+  }
+
+  return MIGRATIONS.slice(end, start).reverse().map(step => {
+    if (!step.down) throw new Error(`Migration ${step.from} → ${step.to} cannot be reversed`);
+    return { step, direction: 'down' };
+  });
+}
+
+function loadSchemas() {
+  const schemas = {};
+  for (const [version, schemaPath] of Object.entries(CONFIG.schemaPaths)) {
+    schemas[version] = JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
+  }
+  return schemas;
+}
+
+function createContext(options = {}) {
+  return {
+    schemas: options.schemas || loadSchemas(),
+    translationIndex: buildTranslationIndex(options.referenceCatalog),
+    tagTranslations: options.tagTranslations || {},
+    notes: [],
+  };
+}
+
+/**
+ * Replay the planned steps, validating the output of each one against the
+ * schema it targets. Returns the migrated catalog and one entry per step with
+ * its validation result and any translation notes it produced.
+ */
+function runMigration(catalog, to, context) {
+  const from = detectSchemaVersion(catalog);
+  if (!from) throw new Error('Could not detect the schema version of the catalog');
+
+  const steps = [];
+  let current = catalog;
+  for (const { step, direction } of planMigration(from, to)) {
+    const target = direction === 'up' ? step.to : step.from;
+    const notesBefore = context.notes.length;
+    current = step[direction](current, context);
+    const validation = validateCatalog(current, context.schemas[target]);
+    steps.push({
+      from: direction === 'up' ? step.from : step.to,
+      to: target,
+      direction,
+      description: step.description,
+      validation,
+      notes: context.notes.slice(notesBefore),
+    });
+  }
+
+  const last = steps[steps.length - 1];
+  return {
+    catalog: current,
+    from,
+    to,
+    steps,
+    valid: !last || last.validation.valid,
+  };
+}
+
+// Paths with array indexes folded to [*], so 213 services read as one line
+function diffJson(before, after, pathLabel = '$', changes = new Map()) {
+  const record = (type) => {
+    const key = pathLabel.replace(/\[\d+\]/g, '[*]');
+    if (!changes.has(key)) changes.set(key, { added: 0, removed: 0, changed: 0 });
+    changes.get(key)[type]++;
+  };
+
+  const isObject = value => value !== null && typeof value === 'object';
+  const isRecordList = value => Array.isArray(value) && value.some(isObject);
+
+  if (isObject(before) && isObject(after) && !Array.isArray(before) && !Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const childPath = `${pathLabel}.${key}`;
+      if (!(key in after)) {
+        diffJson(before[key], undefined, childPath, changes);
+      } else if (!(key in before)) {
+        diffJson(undefined, after[key], childPath, changes);
+      } else {
+        diffJson(before[key], after[key], childPath, changes);
+      }
+    }
+  } else if (isRecordList(before) && isRecordList(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      diffJson(before[i], after[i], `${pathLabel}[${i}]`, changes);
+    }
+  } else if (before === undefined && after !== undefined) {
+    record('added');
+  } else if (after === undefined && before !== undefined) {
+    record('removed');
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    record('changed');
+  }
+
+  return changes;
+}
+
+function formatDiff(changes, maxLines = CONFIG.maxDiffLines) {
+  const lines = [...changes.entries()].map(([key, counts]) => {
+    const parts = ['added', 'removed', 'changed']
+      .filter(type => counts[type] > 0)
+      .map(type => `${type} ${counts[type]}`);
+    const marker = counts.added && !counts.removed && !counts.changed ? '+'
+      : counts.removed && !counts.added && !counts.changed ? '-'
+        : '~';
+    return `  ${marker} ${key} (${parts.join(', ')})`;
+  });
+  if (lines.length > maxLines) {
+    const hidden = lines.length - maxLines;
+    return [...lines.slice(0, maxLines), `  … ${hidden} more paths`];
+  }
+  return lines;
+}
+
+function printSteps(result) {
+  if (result.steps.length === 0) {
+    console.log(`Catalog is already at schema ${result.to}.`);
+    return;
+  }
+
+  for (const step of result.steps) {
+    const { errors, warnings } = step.validation.summary;
+    console.log(`${step.from} → ${step.to} (${step.direction}): ${step.description}`);
+    console.log(`  Schema ${step.to}: ${errors} errors, ${warnings} warnings`);
+    step.validation.issues
+      .filter(issue => issue.severity === 'error')
+      .slice(0, 10)
+      .forEach(issue => console.log(`    - ${issue.path}: ${issue.message}`));
+    if (step.notes.length > 0) {
+      console.log(`  ${step.notes.length} items need review (missing translations)`);
+      step.notes.slice(0, 10).forEach(note => console.log(`    - service ${note.serviceId}: ${note.message}`));
+    }
+  }
+}
+
+/**
+ * Compare ids, URLs and English text of a catalog before and after a round
+ * trip. Returns a list of human-readable differences.
+ */
+function compareRoundTrip(original, roundTripped) {
+  const problems = [];
+  const fields = ['id', 'url', 'name', 'description', 'department', 'category', 'taskType', 'lifeEvent', 'audience', 'tags', 'icon', 'featured'];
+  const byId = new Map(roundTripped.services.map(service => [service.id, service]));
+
+  if (original.services.length !== roundTripped.services.length) {
+    problems.push(`Service count changed from ${original.services.length} to ${roundTripped.services.length}`);
+  }
+
+  for (const service of original.services) {
+    const other = byId.get(service.id);
+    if (!other) {
+      problems.push(`Service ${service.id} is missing after the round trip`);
+      continue;
+    }
+    for (const field of fields) {
+      // null fields are dropped on the way back down to v2
+      if (service[field] === null || service[field] === undefined) continue;
+      if (JSON.stringify(service[field]) !== JSON.stringify(other[field])) {
+        problems.push(`Service ${service.id}: ${field} changed`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+function replayArchive(context) {
+  const original = JSON.parse(fs.readFileSync(CONFIG.archiveCatalogPath, 'utf-8'));
+  console.log(`Replaying ${path.relative(process.cwd(), CONFIG.archiveCatalogPath)} up to schema ${LATEST_VERSION}`);
+
+  const upgraded = runMigration(original, LATEST_VERSION, context);
+  printSteps(upgraded);
+
+  const downgraded = runMigration(upgraded.catalog, upgraded.from, createContext({ schemas: context.schemas }));
+  const problems = compareRoundTrip(original, downgraded.catalog);
+  console.log(`Round trip back to ${upgraded.from}: ${problems.length === 0 ? 'ids, URLs and English text unchanged' : `${problems.length} differences`}`);
+  problems.slice(0, 20).forEach(problem => console.log(`  - ${problem}`));
+
+  return upgraded.valid && problems.length === 0;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (args.errors.length) {
+    args.errors.forEach(error => console.error(error));
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  let context;
+  try {
+    const referenceCatalog = fs.existsSync(args.reference)
+      ? JSON.parse(fs.readFileSync(args.reference, 'utf-8'))
+      : null;
+    context = createContext({
+      referenceCatalog,
+      tagTranslations: loadTagTranslations(CONFIG.translationsPath),
+    });
+  } catch (error) {
+    console.error(`Failed to load schemas or translations: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (args.replayArchive) {
+    let ok;
+    try {
+      ok = replayArchive(context);
+    } catch (error) {
+      console.error(`Replay failed: ${error.message}`);
+      process.exit(2);
+    }
+    console.log(ok ? 'Replay passed.' : 'Replay failed.');
+    process.exit(ok ? 0 : 1);
+  }
+
+  let catalog;
+  let result;
+  try {
+    catalog = JSON.parse(fs.readFileSync(args.catalog, 'utf-8'));
+    result = runMigration(catalog, args.to || LATEST_VERSION, context);
+  } catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(2);
+  }
+
+  console.log(`Catalog: ${args.catalog} (schema ${result.from})`);
+  printSteps(result);
+  if (result.steps.length === 0) return;
+
+  console.log('');
+  console.log('Changes:');
+  formatDiff(diffJson(catalog, result.catalog)).forEach(line => console.log(line));
+
+  if (!result.valid) {
+    console.error(`Migrated catalog does not match schema ${result.to}; nothing written.`);
+    process.exit(1);
+  }
+
+  const outPath = args.out || args.catalog;
+  if (args.dryRun) {
+    console.log('Dry run: catalog not written.');
+  } else {
+    fs.writeFileSync(outPath, JSON.stringify(result.catalog, null, 2) + '\n');
+    console.log(`Wrote ${outPath}`);
+  }
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  detectSchemaVersion,
+  planMigration,
+  createContext,
+  runMigration,
+  diffJson,
+  compareRoundTrip,
+};
+
+if (require.main === module) {
+  main();
+}
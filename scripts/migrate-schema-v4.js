@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Schema v4 Migration
+ *
+ * Upgrades a catalog that follows service-schema-v3.json (now in
+ * archive/schema/) to service-schema-v4.json:
+ *
+ * - Adds the top-level "schemaVersion": "4.0" marker
+ * - Back-fills accountsNeeded for services that run on a known state
+ *   account portal (PEAK, MyUI+, myDMV, Revenue Online, myColorado)
+ *
+ * All other v4 fields (fees, requiredDocuments, estimatedTime, channels,
+ * phone, officeHours, accessibility) are optional and are left for editors
+ * to fill in; addedAt and updatedAt are stamped by the catalog agent.
+ * Services that already list accountsNeeded are not touched, so the
+ * migration can be re-run safely.
+ *
+ * downgradeCatalog() strips the v4 fields again for tools that still expect
+ * a v3 catalog. Both are registered as the 3.0 → 4.0 step in
+ * scripts/migrate-catalog.js.
+ *
+ * Usage:
+ *   node scripts/migrate-schema-v4.js [--catalog <file>] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG = {
+  catalogPath: path.join(__dirname, '..', 'service-catalog-v8.json'),
+  schemaVersion: '4.0',
+  accountPortals: [
+    { account: 'PEAK', pattern: /^https?:\/\/coloradopeak\.secure\.force\.com(\/|$)/i },
+    { account: 'MyUI+', pattern: /^https?:\/\/cdle\.colorado\.gov\/myui-plus/i },
+    { account: 'MyUI Employer+', pattern: /^https?:\/\/cdle\.colorado\.gov\/employers\/myui-employer-plus/i },
+    { account: 'myDMV', pattern: /^https?:\/\/dmv\.colorado\.gov\/mydmv/i },
+    { account: 'Revenue Online', pattern: /^https?:\/\/(www\.)?colorado\.gov\/revenueonline/i },
+    { account: 'myColorado', pattern: /^https?:\/\/mycolorado\.gov\/(colorado-digital-id\/?)?$/i },
+  ],
+};
+
+const V4_SERVICE_FIELDS = [
+  'fees',
+  'requiredDocuments',
+  'estimatedTime',
+  'channels',
+  'phone',
+  'officeHours',
+  'accountsNeeded',
+  'accessibility',
+  'addedAt',
+  'updatedAt',
+];
+
+function parseArgs(argv) {
+  const args = {
+    catalog: CONFIG.catalogPath,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--catalog') {
+      args.catalog = argv[++i];
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    }
+  }
+
+  return args;
+}
+
+function inferAccounts(url, portals = CONFIG.accountPortals) {
+  if (typeof url !== 'string') return [];
+  return portals.filter(portal => portal.pattern.test(url)).map(portal => portal.account);
+}
+
+// Put schemaVersion first so it is the first thing a reader sees in the file
+function withSchemaVersion(catalog, schemaVersion) {
+  const { schemaVersion: _previous, ...rest } = catalog;
+  return { schemaVersion, ...rest };
+}
+
+function migrateCatalog(catalog, portals = CONFIG.accountPortals) {
+  const accountsAdded = [];
+
+  const services = catalog.services.map(service => {
+    if (Array.isArray(service.accountsNeeded)) return service;
+    const accounts = inferAccounts(service.url, portals);
+    if (!accounts.length) return service;
+    accountsAdded.push({ id: service.id, accounts });
+    return { ...service, accountsNeeded: accounts };
+  });
+
+  return {
+    catalog: withSchemaVersion({ ...catalog, services }, CONFIG.schemaVersion),
+    upgraded: catalog.schemaVersion !== CONFIG.schemaVersion,
+    accountsAdded,
+  };
+}
+
+function downgradeCatalog(catalog) {
+  const { schemaVersion: _schemaVersion, ...rest } = catalog;
+  const services = catalog.services.map(service => {
+    const cleaned = { ...service };
+    V4_SERVICE_FIELDS.forEach(field => delete cleaned[field]);
+    return cleaned;
+  });
+  return { ...rest, services };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(args.catalog, 'utf-8'));
+  } catch (error) {
+    console.error(`Failed to load catalog: ${error.message}`);
+    process.exit(1);
+  }
+
+  const result = migrateCatalog(catalog);
+
+  console.log(result.upgraded
+    ? `Schema version: ${catalog.schemaVersion || '3.0'} → ${CONFIG.schemaVersion}`
+    : `Schema version: already ${CONFIG.schemaVersion}`);
+  console.log(`Services given accountsNeeded: ${result.accountsAdded.length}`);
+  result.accountsAdded.forEach(item => {
+    console.log(`  - service ${item.id}: ${item.accounts.join(', ')}`);
+  });
+
+  const changed = result.upgraded || result.accountsAdded.length > 0;
+  if (args.dryRun) {
+    console.log('Dry run: catalog not written.');
+  } else if (changed) {
+    fs.writeFileSync(args.catalog, JSON.stringify(result.catalog, null, 2) + '\n');
+    console.log(`Wrote ${args.catalog}`);
+  }
+}
+
+module.exports = {
+  V4_SERVICE_FIELDS,
+  inferAccounts,
+  migrateCatalog,
+  downgradeCatalog,
+};
+
+if (require.main === module) {
+  main();
+}
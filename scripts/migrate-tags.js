@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Localized Tag Migration
+ *
+ * Converts service tags from the legacy English-only array to the bilingual
+ * shape introduced in service-schema-v3.json:
+ *
+ *   "tags": ["unemployment", "jobless"]
+ *   →
+ *   "tags": { "en": ["unemployment", "jobless"], "es": ["desempleo", "desempleado"] }
+ *
+ * Spanish tags are back-filled from config/tag-translations.json. Services
+ * that already have localized tags keep their Spanish tags; an empty tags.es
+ * is filled the same way. Tags with no known translation are carried over
+ * in English and listed in the output so the dictionary can be extended.
+ *
+ * Usage:
+ *   node scripts/migrate-tags.js [--catalog <file>] [--translations <file>] [--dry-run] [--strict]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG = {
+  catalogPath: path.join(__dirname, '..', 'service-catalog-v8.json'),
+  translationsPath: path.join(__dirname, '..', 'config', 'tag-translations.json'),
+};
+
+function parseArgs(argv) {
+  const args = {
+    catalog: CONFIG.catalogPath,
+    translations: CONFIG.translationsPath,
+    dryRun: false,
+    strict: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--catalog') {
+      args.catalog = argv[++i];
+    } else if (arg === '--translations') {
+      args.translations = argv[++i];
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--strict') {
+      args.strict = true;
+    }
+  }
+
+  return args;
+}
+
+function loadTagTranslations(filePath = CONFIG.translationsPath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return raw.translations || {};
+}
+
+function cleanTagList(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.filter(t => typeof t === 'string').map(t => t.trim()).filter(Boolean))];
+}
+
+function translateTag(tag, translations) {
+  if (Object.prototype.hasOwnProperty.call(translations, tag)) return translations[tag];
+  const lower = tag.toLowerCase();
+  const key = Object.keys(translations).find(k => k.toLowerCase() === lower);
+  return key ? translations[key] : null;
+}
+
+/**
+ * Normalize a tags value (legacy array or {en, es}) to {en: [], es: []}.
+ * Returns { tags, missing } where missing lists English tags that had no
+ * translation and were copied into tags.es as-is.
+ */
+function localizeTags(tags, translations) {
+  const isLocalized = tags && typeof tags === 'object' && !Array.isArray(tags);
+  const en = cleanTagList(isLocalized ? tags.en : tags);
+  const existingEs = isLocalized ? cleanTagList(tags.es) : [];
+  const missing = [];
+
+  if (existingEs.length > 0) {
+    return { tags: { en, es: existingEs }, missing };
+  }
+
+  const es = en.map(tag => {
+    const translated = translateTag(tag, translations);
+    if (!translated) {
+      missing.push(tag);
+      return tag;
+    }
+    return translated;
+  });
+
+  return { tags: { en, es: [...new Set(es)] }, missing };
+}
+
+function migrateCatalog(catalog, translations) {
+  const missing = new Map();
+  let changed = 0;
+
+  const services = catalog.services.map(service => {
+    const result = localizeTags(service.tags, translations);
+    result.missing.forEach(tag => {
+      if (!missing.has(tag)) missing.set(tag, []);
+      missing.get(tag).push(service.id);
+    });
+
+    if (JSON.stringify(result.tags) === JSON.stringify(service.tags)) {
+      return service;
+    }
+    changed++;
+    return { ...service, tags: result.tags };
+  });
+
+  return {
+    catalog: { ...catalog, services },
+    changed,
+    missing,
+  };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let catalog;
+  let translations;
+  try {
+    catalog = JSON.parse(fs.readFileSync(args.catalog, 'utf-8'));
+    translations = loadTagTranslations(args.translations);
+  } catch (error) {
+    console.error(`Failed to load input: ${error.message}`);
+    process.exit(1);
+  }
+
+  const result = migrateCatalog(catalog, translations);
+
+  console.log(`Services updated: ${result.changed} of ${catalog.services.length}`);
+  if (result.missing.size > 0) {
+    console.log(`Tags without a Spanish translation (${result.missing.size}):`);
+    for (const [tag, ids] of result.missing) {
+      console.log(`  - "${tag}" (service ${ids.join(', ')})`);
+    }
+  }
+
+  if (args.dryRun) {
+    console.log('Dry run: catalog not written.');
+  } else if (result.changed > 0) {
+    fs.writeFileSync(args.catalog, JSON.stringify(result.catalog, null, 2) + '\n');
+    console.log(`Wrote ${args.catalog}`);
+  }
+
+  if (args.strict && result.missing.size > 0) {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  loadTagTranslations,
+  localizeTags,
+  migrateCatalog,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * Mock Crawl Server
+ *
+ * Local stand-in for the Cloudflare Browser Rendering /crawl API, so the
+ * crawl pipeline can run without an account or network access. It answers
+ * the three calls crawl-client.js makes:
+ *
+ *   POST /client/v4/accounts/:account/browser-rendering/crawl
+ *        → { success: true, result: "<job id>" }
+ *   GET  .../crawl/:job?limit=1
+ *        → { success: true, result: { id, status, total, finished, browserSecondsUsed, records, cursor } }
+ *   GET  .../crawl/:job?limit=N&cursor=C
+ *        → the same, one page of records at a time; `cursor` is absent on the last page
+ *
+ * Jobs report `running` for the first `runningPolls` status checks, then
+ * `completed`. Pages hold at most `pageSize` records, so a small page size
+ * exercises the client's cursor handling. Requests without a Bearer token
+ * get a 401.
+ *
+ * Pages come from fixture sites on disk: <sites-dir>/<hostname>/ holds one
+ * Markdown file per page, where index.md is "/" and a/b.md (or a/b/index.md)
+ * is "/a/b". A page's title is its first "# " heading. A job starts at the
+ * submitted URL and follows Markdown links breadth-first up to the payload's
+ * `depth` and `limit`, staying on the seed's host unless
+ * options.includeSubdomains or options.includeExternalLinks allow otherwise,
+ * and honouring options.includePatterns / excludePatterns. Linked pages
+ * with no fixture file come back as `errored` records with HTTP 404.
+ *
+ * Usage:
+ *   node scripts/mock-crawl-server.js [--port 8787] [--sites-dir scripts/fixtures/crawl/sites] [--running-polls 1] [--page-size 100]
+ *
+ * Then run the pipeline against it:
+ *   CF_API_BASE_URL=http://127.0.0.1:8787/client/v4/accounts CF_ACCOUNT_ID=mock CF_API_TOKEN=mock \
+ *     CF_CRAWL_POLL_INTERVAL_MS=100 node scripts/crawl-client.js --url https://cdle.colorado.gov --output-dir ./crawl-results
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  port: 8787,
+  sitesDir: path.join(__dirname, 'fixtures', 'crawl', 'sites'),
+  runningPolls: 1,
+  // Most records returned per page, whatever `limit` asks for
+  pageSize: 100,
+  depth: 1,
+  limit: 10,
+};
+
+const CRAWL_PATH = /\/accounts\/([^/]+)\/browser-rendering\/crawl(?:\/([^/]+))?\/?$/;
+
+/**
+ * Glob as used in crawl profiles: ** matches anything, * anything but "/".
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('**')
+    .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function fixturePath(sitesDir, url) {
+  const pathname = decodeURIComponent(url.pathname).replace(/\/+$/, '');
+  const hostDir = path.join(sitesDir, url.hostname);
+  const candidates = pathname
+    ? [`${pathname}.md`, `${pathname}/index.md`]
+    : ['/index.md'];
+  for (const candidate of candidates) {
+    const file = path.join(hostDir, candidate);
+    // Stay inside the host's directory
+    if (!file.startsWith(hostDir + path.sep)) continue;
+    if (fs.existsSync(file) && fs.statSync(file).isFile()) return file;
+  }
+  return null;
+}
+
+function canonicalUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.search = '';
+  return parsed;
+}
+
+function extractLinks(markdown, pageUrl) {
+  const links = [];
+  for (const match of markdown.matchAll(/\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g)) {
+    try {
+      const url = canonicalUrl(new URL(match[1], pageUrl));
+      if (url.protocol === 'http:' || url.protocol === 'https:') links.push(url);
+    } catch {
+      // not a URL
+    }
+  }
+  return links;
+}
+
+/**
+ * Crawl the fixture sites the way a /crawl job with this payload would and
+ * return its records.
+ */
+function crawlFixtures(payload, sitesDir = DEFAULTS.sitesDir) {
+  const options = payload.options || {};
+  const maxDepth = payload.depth ?? DEFAULTS.depth;
+  const limit = payload.limit ?? DEFAULTS.limit;
+  const formats = payload.formats || ['markdown'];
+  const include = (options.includePatterns || []).map(globToRegExp);
+  const exclude = (options.excludePatterns || []).map(globToRegExp);
+
+  const seed = canonicalUrl(payload.url);
+  const inScope = url => {
+    const sameHost = url.hostname === seed.hostname;
+    const subdomain = url.hostname.endsWith(`.${seed.hostname}`);
+    if (!sameHost && !(subdomain && options.includeSubdomains) && !options.includeExternalLinks) return false;
+    if (include.length && !include.some(pattern => pattern.test(url.href))) return false;
+    return !exclude.some(pattern => pattern.test(url.href));
+  };
+
+  const records = [];
+  const seen = new Set([seed.href]);
+  const queue = [{ url: seed, depth: 0 }];
+
+  while (queue.length && records.length < limit) {
+    const { url, depth } = queue.shift();
+    const file = fixturePath(sitesDir, url);
+    if (!file) {
+      records.push({ url: url.href, status: 'errored', metadata: { status: 404, url: url.href } });
+      continue;
+    }
+
+    const markdown = fs.readFileSync(file, 'utf-8');
+    const title = markdown.match(/^#\s+(.+)$/m)?.[1].trim() || null;
+    records.push({
+      url: url.href,
+      status: 'completed',
+      ...(formats.includes('markdown') ? { markdown } : {}),
+      metadata: { status: 200, title, url: url.href },
+    });
+
+    if (depth >= maxDepth) continue;
+    for (const link of extractLinks(markdown, url)) {
+      if (seen.has(link.href) || !inScope(link)) continue;
+      seen.add(link.href);
+      queue.push({ url: link, depth: depth + 1 });
+    }
+  }
+
+  return records;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function apiError(res, status, code, message) {
+  sendJson(res, status, { success: false, errors: [{ code, message }], messages: [], result: null });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create (but don't start) the mock API server. `server.jobs` maps job ids
+ * to { id, accountId, payload, records, polls }, where polls counts every
+ * GET for the job.
+ */
+function createMockCrawlServer(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const jobs = new Map();
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = url.pathname.match(CRAWL_PATH);
+    if (!route) return apiError(res, 404, 7000, `No route for ${req.method} ${url.pathname}`);
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) return apiError(res, 401, 10000, 'Authentication error');
+
+    const [, accountId, jobId] = route;
+
+    if (req.method === 'POST' && !jobId) {
+      let payload;
+      try {
+        payload = JSON.parse(await readBody(req));
+        canonicalUrl(payload.url);
+      } catch {
+        return apiError(res, 400, 1001, 'Body must be JSON with a valid "url"');
+      }
+      const id = crypto.randomUUID();
+      jobs.set(id, { id, accountId, payload, records: crawlFixtures(payload, config.sitesDir), polls: 0 });
+      return sendJson(res, 200, { success: true, errors: [], messages: [], result: id });
+    }
+
+    if (req.method === 'GET' && jobId) {
+      const job = jobs.get(jobId);
+      if (!job || job.accountId !== accountId) return apiError(res, 404, 1002, `Crawl job not found: ${jobId}`);
+
+      const running = job.polls++ < config.runningPolls;
+      const total = job.records.length;
+      if (running) {
+        return sendJson(res, 200, {
+          success: true,
+          result: { id: job.id, status: 'running', total, finished: Math.floor(total / 2), browserSecondsUsed: 0, records: [] },
+        });
+      }
+
+      const limit = Math.min(config.pageSize, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || config.pageSize));
+      const offset = Math.max(0, parseInt(url.searchParams.get('cursor'), 10) || 0);
+      const records = job.records.slice(offset, offset + limit);
+      const next = offset + records.length;
+      return sendJson(res, 200, {
+        success: true,
+        result: {
+          id: job.id,
+          status: 'completed',
+          total,
+          finished: total,
+          browserSecondsUsed: job.payload.render ? total : 0,
+          records,
+          ...(next < total ? { cursor: String(next) } : {}),
+        },
+      });
+    }
+
+    return apiError(res, 405, 7001, `Method ${req.method} not allowed here`);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => apiError(res, 500, 7002, error.message));
+  });
+  server.jobs = jobs;
+  return server;
+}
+
+function parseArgs(argv) {
+  const args = {
+    port: DEFAULTS.port,
+    sitesDir: DEFAULTS.sitesDir,
+    runningPolls: DEFAULTS.runningPolls,
+    pageSize: DEFAULTS.pageSize,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      args.port = parseInt(argv[++i], 10);
+    } else if (arg === '--sites-dir') {
+      args.sitesDir = path.resolve(argv[++i]);
+    } else if (arg === '--running-polls') {
+      args.runningPolls = parseInt(argv[++i], 10) || 0;
+    } else if (arg === '--page-size') {
+      args.pageSize = parseInt(argv[++i], 10) || DEFAULTS.pageSize;
+    }
+  }
+
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const server = createMockCrawlServer(args);
+  server.listen(args.port, '127.0.0.1', () => {
+    const sites = fs.existsSync(args.sitesDir) ? fs.readdirSync(args.sitesDir) : [];
+    console.error(`Mock crawl API on http://127.0.0.1:${server.address().port}/client/v4/accounts`);
+    console.error(`Serving ${sites.length} fixture site(s) from ${args.sitesDir}: ${sites.join(', ')}`);
+  });
+}
+
+module.exports = { createMockCrawlServer, crawlFixtures };
+
+if (require.main === module) {
+  main();
+}
@@ -1,20 +1,46 @@
 #!/usr/bin/env node
 /**
- * Sync the embedded SERVICE_CATALOG in index.html
- * with the canonical service-catalog-v8.json file.
+ * Sync the embedded EMBEDDED_CATALOG (and its version) in index.html
+ * with the canonical service-catalog-v8.json file, the embedded
+ * SEARCH_SYNONYMS with config/search-synonyms.json, and the embedded
+ * JOURNEYS with config/journeys.json. Also regenerates the Atom feed of new
+ * and updated services (catalog-feed.xml) from the catalog.
+ *
+ * index.html loads service-catalog-v8.json at runtime; the embedded copy is
+ * only a fallback for when that fetch fails or isn't possible (Google Sites,
+ * file://). With --slim, the fallback keeps only the fields the service list
+ * needs (SLIM_FIELDS) and a few tags per service, and is written one service
+ * per line to keep index.html small.
+ *
+ * Usage: node scripts/sync-catalog.js [--slim]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { buildAtomFeed, CONFIG: FEED_CONFIG } = require('./build-feed');
 
 const CATALOG_PATH = path.join(__dirname, '..', 'service-catalog-v8.json');
+const SYNONYMS_PATH = path.join(__dirname, '..', 'config', 'search-synonyms.json');
+const JOURNEYS_PATH = path.join(__dirname, '..', 'config', 'journeys.json');
 const INDEX_PATH = path.join(__dirname, '..', 'index.html');
-const MARKER = 'const SERVICE_CATALOG = [';
-
-function findCatalogBlock(text) {
-  const markerIndex = text.indexOf(MARKER);
+const VERSION_PATTERN = /const EMBEDDED_CATALOG_VERSION = '[^']*';/;
+
+// Fields the slim fallback keeps: what service cards, search, the facets,
+// the featured list, the "New & updated" tab and the screener read. Detail
+// page fields (subcategory, the *Detail texts, departmentUrl and the v4
+// "before you go" details) come only from the fetched catalog.
+const SLIM_FIELDS = [
+  'id', 'name', 'description', 'url', 'department', 'category', 'lifeEvent', 'taskType', 'audience',
+  'tags', 'icon', 'featured', 'fees', 'eligibility', 'addedAt', 'updatedAt',
+];
+// Search tags kept per language in the slim fallback
+const SLIM_MAX_TAGS = 3;
+
+function findArrayBlock(text, name) {
+  const marker = `const ${name} = [`;
+  const markerIndex = text.indexOf(marker);
   if (markerIndex === -1) {
-    throw new Error('SERVICE_CATALOG marker not found in index.html');
+    throw new Error(`${name} marker not found in index.html`);
   }
 
   const lineStart = text.lastIndexOf('\n', markerIndex) + 1;
@@ -22,7 +48,7 @@ function findCatalogBlock(text) {
 
   const arrayStart = text.indexOf('[', markerIndex);
   if (arrayStart === -1) {
-    throw new Error('SERVICE_CATALOG array start not found');
+    throw new Error(`${name} array start not found`);
   }
 
   let depth = 0;
@@ -59,7 +85,7 @@ function findCatalogBlock(text) {
   }
 
   if (arrayEnd === -1) {
-    throw new Error('SERVICE_CATALOG array end not found');
+    throw new Error(`${name} array end not found`);
   }
 
   let blockEnd = arrayEnd + 1;
@@ -73,26 +99,60 @@ function findCatalogBlock(text) {
   return { start: lineStart, end: blockEnd, indent };
 }
 
-function buildCatalogBlock(services, indent) {
-  const jsonText = JSON.stringify(services, null, 2);
-  return `${indent}const SERVICE_CATALOG = ${jsonText};`;
+function buildArrayBlock(name, items, indent, compact = false) {
+  const jsonText = compact
+    ? `[\n${items.map(item => JSON.stringify(item)).join(',\n')}\n]`
+    : JSON.stringify(items, null, 2);
+  return `${indent}const ${name} = ${jsonText};`;
+}
+
+function replaceArrayBlock(text, name, items, compact = false) {
+  const { start, end, indent } = findArrayBlock(text, name);
+  const newBlock = buildArrayBlock(name, items, indent, compact);
+  return text.slice(0, start) + newBlock + text.slice(end);
+}
+
+function slimService(service) {
+  const slim = {};
+  for (const field of SLIM_FIELDS) {
+    // Missing, null and false values read the same to the page
+    if (service[field] === undefined || service[field] === null || service[field] === false) continue;
+    slim[field] = service[field];
+  }
+  if (slim.tags) {
+    slim.tags = Object.fromEntries(Object.entries(slim.tags).map(([lang, tags]) => [lang, tags.slice(0, SLIM_MAX_TAGS)]));
+  }
+  return slim;
 }
 
 function main() {
+  const slim = process.argv.slice(2).includes('--slim');
   const catalogRaw = fs.readFileSync(CATALOG_PATH, 'utf-8');
   const catalog = JSON.parse(catalogRaw);
+  const synonyms = JSON.parse(fs.readFileSync(SYNONYMS_PATH, 'utf-8'));
+  const journeys = JSON.parse(fs.readFileSync(JOURNEYS_PATH, 'utf-8'));
 
   const indexHtml = fs.readFileSync(INDEX_PATH, 'utf-8');
-  const { start, end, indent } = findCatalogBlock(indexHtml);
+  if (!VERSION_PATTERN.test(indexHtml)) {
+    throw new Error('EMBEDDED_CATALOG_VERSION marker not found in index.html');
+  }
 
-  const newBlock = buildCatalogBlock(catalog.services, indent);
-  const existingBlock = indexHtml.slice(start, end);
+  const services = slim ? catalog.services.map(slimService) : catalog.services;
+  let updated = replaceArrayBlock(indexHtml, 'EMBEDDED_CATALOG', services, slim);
+  updated = updated.replace(VERSION_PATTERN, `const EMBEDDED_CATALOG_VERSION = '${catalog.version}';`);
+  updated = replaceArrayBlock(updated, 'SEARCH_SYNONYMS', synonyms.groups);
+  updated = replaceArrayBlock(updated, 'JOURNEYS', journeys.journeys);
+
+  const feed = buildAtomFeed(catalog);
+  const currentFeed = fs.existsSync(FEED_CONFIG.feedPath) ? fs.readFileSync(FEED_CONFIG.feedPath, 'utf-8') : null;
+  if (feed !== currentFeed) {
+    fs.writeFileSync(FEED_CONFIG.feedPath, feed);
+  }
 
-  if (existingBlock === newBlock) {
+  if (updated === indexHtml) {
     return;
   }
 
-  const updated = indexHtml.slice(0, start) + newBlock + indexHtml.slice(end);
   fs.writeFileSync(INDEX_PATH, updated);
 }
 
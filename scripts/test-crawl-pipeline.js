@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Crawl Pipeline End-to-End Test
+ *
+ * Runs the whole crawl-assisted recovery pipeline offline against
+ * scripts/mock-crawl-server.js and the fixture sites in
+ * scripts/fixtures/crawl/:
+ *
+ *   build-crawl-queue.js → crawl-client.js → normalize-crawl-results.js → recover-links-from-crawl.js
+ *
+ * Each script runs as its own process, exactly as the workflows call it,
+ * with CF_API_BASE_URL pointing at the mock. The queue, crawl and
+ * normalize steps are checked along the way, then every case in
+ * fixtures/crawl/cases.json is recovered and compared with its expected
+ * outcome. Exits 1 if anything doesn't match.
+ *
+ * Usage:
+ *   node scripts/test-crawl-pipeline.js [--keep] [--verbose]
+ *
+ *   --keep     leave the working directory (queue, raw and normalized results) in place
+ *   --verbose  show each script's log output
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createMockCrawlServer } = require('./mock-crawl-server');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'crawl');
+const STEP_TIMEOUT_MS = 60000;
+
+const args = process.argv.slice(2);
+const keep = args.includes('--keep');
+const verbose = args.includes('--verbose');
+
+let failures = 0;
+
+function check(passed, label, detail) {
+  if (!passed) failures++;
+  console.log(`${passed ? '✓' : '✗'} ${label}${!passed && detail ? `\n    ${detail}` : ''}`);
+  return passed;
+}
+
+/**
+ * Run a pipeline script and return its stdout. Asynchronous so the mock
+ * server in this process keeps answering while the script runs.
+ */
+function runScript(script, scriptArgs, env) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(__dirname, script), ...scriptArgs], {
+      env,
+      timeout: STEP_TIMEOUT_MS,
+      maxBuffer: 64 * 1024 * 1024,
+    }, (error, stdout, stderr) => {
+      if (verbose && stderr.trim()) {
+        console.log(stderr.trim().split('\n').map(line => `    ${line}`).join('\n'));
+      }
+      if (error) {
+        reject(new Error(`${script} failed (${error.killed ? 'timed out' : `exit ${error.code}`}): ${stderr.trim().split('\n').pop()}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+function recoveryOutcome(result, expectUrl) {
+  const best = result.bestCandidate;
+  const outcome = result.autoApply ? 'apply' : (result.suggestOnly ? 'suggest' : 'none');
+  const matches = outcome === 'none' || best.url === expectUrl;
+  const described = outcome === 'none'
+    ? `none${best ? ` (best ${best.url} at ${best.score.toFixed(2)})` : ''}`
+    : `${outcome} ${best.url} (score ${best.score.toFixed(2)})`;
+  return { outcome, matches, described };
+}
+
+async function runPipeline(workDir, env) {
+  const seeds = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'seeds.json'), 'utf-8'));
+  const queuePath = path.join(workDir, 'queue.json');
+  const rawDir = path.join(workDir, 'crawl-results');
+  const normalizedDir = path.join(workDir, 'crawl-normalized');
+
+  // 1. Queue: no history yet, so every fixture seed fits in the budget
+  await runScript('build-crawl-queue.js', [
+    '--seeds', path.join(FIXTURES_DIR, 'seeds.json'),
+    '--history-dir', rawDir,
+    '--output', queuePath,
+    ...(verbose ? ['--verbose'] : []),
+  ], env);
+  const queue = JSON.parse(fs.readFileSync(queuePath, 'utf-8'));
+  const queued = queue.map(job => job.id).sort();
+  check(JSON.stringify(queued) === JSON.stringify(seeds.map(seed => seed.id).sort()),
+    `build-crawl-queue: ${queue.length} job(s) queued`,
+    `expected ${seeds.map(seed => seed.id).join(', ')}, got ${queued.join(', ')}`);
+
+  // 2. Crawl: every job submitted, polled to completion and paged through
+  const crawled = JSON.parse(await runScript('crawl-client.js', [
+    '--queue', queuePath,
+    '--output-dir', rawDir,
+    ...(verbose ? ['--verbose'] : []),
+  ], env));
+  for (const job of crawled) {
+    const result = job.result || {};
+    const records = result.records || [];
+    check(job.status === 'success' && result.status === 'completed' && records.length === result.total && records.length > 0,
+      `crawl-client: ${job.id} ${job.status}, ${records.length} record(s)`,
+      job.error || `job status ${result.status}, ${records.length} of ${result.total} records fetched`);
+  }
+  const rawFiles = fs.existsSync(rawDir) ? fs.readdirSync(rawDir).filter(file => file.startsWith('crawl-raw-')) : [];
+  check(rawFiles.length === queue.length, `crawl-client: ${rawFiles.length} raw result file(s) written`,
+    `expected ${queue.length}`);
+
+  // 3. Normalize: one normalized file per raw file, every record kept
+  const normalized = JSON.parse(await runScript('normalize-crawl-results.js', [
+    '--input-dir', rawDir,
+    '--output-dir', normalizedDir,
+    ...(verbose ? ['--verbose'] : []),
+  ], env));
+  const normalizedFiles = fs.readdirSync(normalizedDir)
+    .filter(file => file.startsWith('crawl-normalized-') && !file.endsWith('-summary.json'));
+  const crawledRecords = crawled.reduce((sum, job) => sum + (job.result?.records?.length || 0), 0);
+  const normalizedRecords = normalized.summaries.reduce((sum, summary) => sum + summary.totalRecords, 0);
+  check(normalizedFiles.length === rawFiles.length && normalizedRecords === crawledRecords,
+    `normalize-crawl-results: ${normalizedFiles.length} file(s), ${normalizedRecords} record(s)`,
+    `expected ${rawFiles.length} file(s) and ${crawledRecords} record(s)`);
+
+  // 4. Recover each broken link from the normalized results
+  const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'cases.json'), 'utf-8'));
+  for (const fixture of manifest.cases) {
+    const result = JSON.parse(await runScript('recover-links-from-crawl.js', [
+      '--crawl-results-dir', normalizedDir,
+      '--url', fixture.url,
+      '--name', fixture.name,
+      '--description', fixture.description || '',
+    ], env));
+    const { outcome, matches, described } = recoveryOutcome(result, fixture.expectUrl);
+    const passed = outcome === fixture.expect && matches;
+    check(passed, `recover ${fixture.url}: ${described}`,
+      `expected ${fixture.expect}${fixture.expectUrl ? ` ${fixture.expectUrl}` : ''} (${fixture.note})`);
+    if (verbose) {
+      for (const suggestion of result.suggestions) {
+        console.log(`    ${suggestion.score.toFixed(2)} ${suggestion.url} (path ${suggestion.pathScore.toFixed(2)}, title ${suggestion.titleScore.toFixed(2)}, host ${suggestion.hostScore})`);
+      }
+    }
+  }
+}
+
+async function main() {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-pipeline-'));
+  // Two records a page so every job's results span several cursor pages
+  const server = createMockCrawlServer({ sitesDir: path.join(FIXTURES_DIR, 'sites'), runningPolls: 1, pageSize: 2 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const env = {
+    ...process.env,
+    CF_API_BASE_URL: `http://127.0.0.1:${server.address().port}/client/v4/accounts`,
+    CF_ACCOUNT_ID: 'mock-account',
+    CF_API_TOKEN: 'mock-token',
+    CF_CRAWL_POLL_INTERVAL_MS: '50',
+  };
+
+  try {
+    await runPipeline(workDir, env);
+    const polls = [...server.jobs.values()].map(job => job.polls);
+    check(polls.length > 0 && polls.every(count => count >= 3),
+      `mock crawl API: ${polls.length} job(s), each polled while running and paged by cursor`,
+      `GET requests per job: ${polls.join(', ')}`);
+  } catch (error) {
+    check(false, 'pipeline ran to completion', error.message);
+  } finally {
+    server.close();
+    if (keep) {
+      console.log(`\nWorking directory kept at ${workDir}`);
+    } else {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  console.log(`\n${failures ? `${failures} check(s) failed` : 'All checks passed'}`);
+  if (failures) process.exitCode = 1;
+}
+
+main();
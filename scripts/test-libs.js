@@ -0,0 +1,585 @@
+#!/usr/bin/env node
+/**
+ * Shared Library Tests
+ *
+ * Offline checks for the link-checking libraries in scripts/lib/. HTTP
+ * goes through a fake transport (createHttpClient's `transport` option)
+ * and a fake clock, so nothing touches the network and retries, backoff
+ * and rate limits run instantly:
+ *
+ *   http.js            retries, Retry-After, the per-host token bucket,
+ *                      header and body timeouts, redirects, HEAD fallback
+ *   robots.js          rule selection, Crawl-delay, missing and failing robots.txt
+ *   link-health.js     history classification, saving and loading
+ *   http-cache.js      conditional requests, change detection, cached verdicts
+ *   link-reporters.js  JUnit, SARIF, CSV and NDJSON output
+ *   redirects.js       redirect chain classification
+ *
+ * The soft-404 detector has its own fixtures; see
+ * `node scripts/check-links.js --replay-fixtures`. Exits 1 if any check fails.
+ *
+ * Usage:
+ *   node scripts/test-libs.js [--only <library>]
+ *
+ *   --only  run one library's checks, e.g. --only http
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHttpClient, createHostLimiter, parseRetryAfter, classifyError } = require('./lib/http');
+const { createRobotsCache } = require('./lib/robots');
+const linkHealth = require('./lib/link-health');
+const { createHttpCache, createPageChecker } = require('./lib/http-cache');
+const { createSoft404Detector } = require('./lib/soft404');
+const reporters = require('./lib/link-reporters');
+const redirects = require('./lib/redirects');
+
+const args = process.argv.slice(2);
+const onlyIndex = args.indexOf('--only');
+const only = onlyIndex !== -1 ? args[onlyIndex + 1] : null;
+
+let failures = 0;
+
+function check(passed, label, detail) {
+  if (!passed) failures++;
+  console.log(`${passed ? '✓' : '✗'} ${label}${!passed && detail ? `\n    ${detail}` : ''}`);
+  return passed;
+}
+
+function same(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+function checkEqual(actual, expected, label) {
+  return check(same(actual, expected), label, `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+/**
+ * A clock whose sleep() returns at once and moves time forward, so retry
+ * and rate-limit waits can be read off `sleeps`.
+ */
+function createFakeClock() {
+  const clock = { time: 0, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+/**
+ * A fake server for createHttpClient's transport option. `routes` maps a
+ * URL to a handler (request → Response) or to a list of responses served
+ * in turn, the last one repeating. `requests` records every call with its
+ * method, headers and the fake clock's time.
+ */
+function createFakeServer(routes, clock) {
+  const requests = [];
+  const served = new Map();
+
+  async function transport(url, init) {
+    requests.push({ url, method: init.method, headers: init.headers, time: clock ? clock.now() : null });
+    const route = routes[url];
+    if (!route) return new Response('Not found', { status: 404 });
+    if (typeof route === 'function') return route(url, init);
+    const index = served.get(url) || 0;
+    served.set(url, index + 1);
+    const next = route[Math.min(index, route.length - 1)];
+    return typeof next === 'function' ? next(url, init) : next.clone();
+  }
+
+  return { transport, requests };
+}
+
+function html(body, headers = {}) {
+  return new Response(`<html><body>${body}</body></html>`, {
+    status: 200,
+    headers: { 'content-type': 'text/html', ...headers },
+  });
+}
+
+function status(code, headers = {}) {
+  return new Response(code >= 300 && code < 400 ? null : `HTTP ${code}`, { status: code, headers });
+}
+
+function connectionError(code) {
+  const error = new TypeError('fetch failed');
+  error.cause = { code };
+  return error;
+}
+
+function fakeClient(server, clock, options = {}) {
+  return createHttpClient({
+    transport: server.transport,
+    now: clock.now,
+    sleep: clock.sleep,
+    random: () => 1,
+    hostRate: { perSecond: 0 },
+    ...options,
+  });
+}
+
+async function testHttp() {
+  console.log('\nhttp.js');
+
+  // Retries with exponential backoff (random() pinned to 1: the full ceiling)
+  let clock = createFakeClock();
+  let server = createFakeServer({ 'https://a.colorado.gov/': [status(503), status(503), html('ok')] }, clock);
+  const retried = [];
+  let response = await fakeClient(server, clock, { onRetry: info => retried.push(info.status) }).request('https://a.colorado.gov/');
+  check(response.status === 200 && server.requests.length === 3, 'retries 503 until the page answers',
+    `status ${response.status} after ${server.requests.length} request(s)`);
+  checkEqual(clock.sleeps, [1000, 2000], 'backs off exponentially between retries');
+  checkEqual(retried, [503, 503], 'reports each retry to onRetry');
+
+  clock = createFakeClock();
+  server = createFakeServer({ 'https://a.colorado.gov/': [status(503)] }, clock);
+  response = await fakeClient(server, clock, { retries: 1 }).request('https://a.colorado.gov/');
+  check(response.status === 503 && server.requests.length === 2, 'returns the last 503 once retries are used up',
+    `status ${response.status} after ${server.requests.length} request(s)`);
+
+  // Retry-After
+  clock = createFakeClock();
+  server = createFakeServer({ 'https://a.colorado.gov/': [status(429, { 'retry-after': '7' }), html('ok')] }, clock);
+  response = await fakeClient(server, clock).request('https://a.colorado.gov/');
+  check(response.status === 200 && same(clock.sleeps, [7000]), 'waits out Retry-After instead of the backoff',
+    `status ${response.status}, sleeps ${JSON.stringify(clock.sleeps)}`);
+
+  clock = createFakeClock();
+  server = createFakeServer({ 'https://a.colorado.gov/': [status(429, { 'retry-after': '3600' }), html('ok')] }, clock);
+  response = await fakeClient(server, clock).request('https://a.colorado.gov/');
+  check(response.status === 429 && server.requests.length === 1, 'returns at once when Retry-After exceeds maxRetryAfter',
+    `status ${response.status} after ${server.requests.length} request(s)`);
+
+  // A Retry-After pauses the whole host, not just the request that got it
+  clock = createFakeClock();
+  const limiter = createHostLimiter({ perSecond: 0 }, clock);
+  limiter.pause('a.colorado.gov', 5000);
+  await limiter.take('b.colorado.gov');
+  const otherHostSleeps = clock.sleeps.length;
+  await limiter.take('a.colorado.gov');
+  check(otherHostSleeps === 0 && same(clock.sleeps, [5000]), 'pauses only the host that sent Retry-After',
+    `sleeps ${JSON.stringify(clock.sleeps)}`);
+
+  checkEqual(parseRetryAfter('120'), 120000, 'parses Retry-After in seconds');
+  checkEqual(parseRetryAfter('Thu, 01 Jan 1970 00:00:30 GMT', 0), 30000, 'parses Retry-After as an HTTP date');
+  checkEqual(parseRetryAfter('soon'), null, 'ignores an unreadable Retry-After');
+
+  // Connection errors
+  clock = createFakeClock();
+  let attempts = 0;
+  server = createFakeServer({
+    'https://a.colorado.gov/': () => {
+      if (attempts++ === 0) throw connectionError('ECONNRESET');
+      return html('ok');
+    },
+  }, clock);
+  response = await fakeClient(server, clock).request('https://a.colorado.gov/');
+  check(response.status === 200 && attempts === 2, 'retries a reset connection', `${attempts} attempt(s)`);
+
+  clock = createFakeClock();
+  server = createFakeServer({ 'https://gone.colorado.gov/': () => { throw connectionError('ENOTFOUND'); } }, clock);
+  const dnsError = await fakeClient(server, clock).request('https://gone.colorado.gov/').catch(error => error);
+  check(dnsError.kind === 'dns' && server.requests.length === 1, 'does not retry a DNS failure',
+    `kind ${dnsError.kind} after ${server.requests.length} request(s)`);
+
+  // Token bucket: a burst of 2, then one request every 500ms
+  clock = createFakeClock();
+  server = createFakeServer({ 'https://a.colorado.gov/': [html('ok')], 'https://b.colorado.gov/': [html('ok')] }, clock);
+  let http = fakeClient(server, clock, { hostRate: { perSecond: 2, burst: 2 } });
+  for (let i = 0; i < 4; i++) await http.request('https://a.colorado.gov/');
+  checkEqual(server.requests.map(request => request.time), [0, 0, 500, 1000], 'spaces a host\'s requests out after the burst');
+  await http.request('https://b.colorado.gov/');
+  checkEqual(clock.sleeps.length, 2, 'gives each host its own bucket');
+
+  clock = createFakeClock();
+  server = createFakeServer({ 'https://a.colorado.gov/': [html('ok')] }, clock);
+  http = fakeClient(server, clock);
+  http.setHostDelay('A.colorado.gov', 3000);
+  await http.request('https://a.colorado.gov/');
+  await http.request('https://a.colorado.gov/');
+  checkEqual(server.requests.map(request => request.time), [0, 3000], 'applies setHostDelay between requests');
+
+  // Timeouts, on the real clock with short limits
+  server = createFakeServer({
+    'https://slow.colorado.gov/': (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    }),
+  });
+  const headerTimeout = await createHttpClient({ transport: server.transport, timeout: 50, retries: 0 })
+    .request('https://slow.colorado.gov/').catch(error => error);
+  check(headerTimeout.kind === 'timeout' && headerTimeout.timeout === 50, 'times out a server that never answers',
+    `kind ${headerTimeout.kind}`);
+
+  let stalled = null;
+  server = createFakeServer({
+    'https://stall.colorado.gov/': (url, init) => new Response(new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('<html><body>half a page'));
+        // Stands in for the stalled socket; the timeout should end it first
+        stalled = setTimeout(() => controller.close(), 5000);
+        init.signal.addEventListener('abort', () => {
+          clearTimeout(stalled);
+          controller.error(init.signal.reason);
+        });
+      },
+    }), { status: 200, headers: { 'content-type': 'text/html' } }),
+  });
+  const started = Date.now();
+  response = await createHttpClient({ transport: server.transport, timeout: 100, retries: 0 })
+    .request('https://stall.colorado.gov/');
+  const bodyTimeout = await response.text().catch(error => error);
+  check(bodyTimeout instanceof Error && bodyTimeout.kind === 'timeout' && Date.now() - started < 2000,
+    'times out a server that stalls mid-body', `got ${bodyTimeout && (bodyTimeout.kind || bodyTimeout)} after ${Date.now() - started}ms`);
+  clearTimeout(stalled);
+
+  server = createFakeServer({ 'https://a.colorado.gov/': [html('whole page')] });
+  response = await createHttpClient({ transport: server.transport, timeout: 100, retries: 0 }).request('https://a.colorado.gov/');
+  await new Promise(resolve => setTimeout(resolve, 150));
+  const lateRead = await response.text().catch(error => error);
+  check(typeof lateRead === 'string' && lateRead.includes('whole page'), 'reads a body that arrived in time',
+    `got ${lateRead && (lateRead.kind || lateRead)}`);
+
+  // Redirects
+  clock = createFakeClock();
+  server = createFakeServer({
+    'http://a.colorado.gov/old': [status(301, { location: 'https://a.colorado.gov/old' })],
+    'https://a.colorado.gov/old': [status(302, { location: '/new' })],
+    'https://a.colorado.gov/new': [html('new')],
+  }, clock);
+  const followed = await fakeClient(server, clock).follow('http://a.colorado.gov/old');
+  checkEqual(followed.chain.map(hop => [hop.url, hop.status]), [
+    ['http://a.colorado.gov/old', 301],
+    ['https://a.colorado.gov/old', 302],
+    ['https://a.colorado.gov/new', 200],
+  ], 'follows redirects hop by hop');
+
+  clock = createFakeClock();
+  server = createFakeServer({
+    'https://a.colorado.gov/x': [status(302, { location: '/y' })],
+    'https://a.colorado.gov/y': [status(302, { location: '/x' })],
+  }, clock);
+  const loop = await fakeClient(server, clock).follow('https://a.colorado.gov/x').catch(error => error);
+  check(loop.kind === 'redirect_loop' && loop.chain.length === 2, 'stops at a redirect loop', `kind ${loop.kind}`);
+
+  clock = createFakeClock();
+  server = createFakeServer({
+    'https://a.colorado.gov/': (url, init) => (init.method === 'HEAD' ? status(405) : html('ok')),
+  }, clock);
+  const fallback = await fakeClient(server, clock).headOrGet('https://a.colorado.gov/');
+  check(fallback.method === 'GET' && fallback.response.status === 200, 'falls back to GET when HEAD is rejected',
+    `method ${fallback.method}, status ${fallback.response.status}`);
+
+  checkEqual(classifyError(connectionError('CERT_HAS_EXPIRED')), 'tls', 'classifies certificate errors');
+}
+
+async function testRobots() {
+  console.log('\nrobots.js');
+  const robotsTxt = [
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: Colorado-Service-Navigator',
+    'Disallow: /private',
+    'Allow: /private/open',
+    'Disallow: /*.pdf$',
+    'Crawl-delay: 5',
+    '',
+    'Sitemap: https://a.colorado.gov/sitemap.xml',
+  ].join('\n');
+
+  const clock = createFakeClock();
+  const server = createFakeServer({
+    'https://a.colorado.gov/robots.txt': [new Response(robotsTxt, { status: 200 })],
+    'https://missing.colorado.gov/robots.txt': [status(404)],
+    'https://down.colorado.gov/robots.txt': [status(500)],
+    'https://gone.colorado.gov/robots.txt': () => { throw connectionError('ENOTFOUND'); },
+  }, clock);
+  const http = fakeClient(server, clock, { retries: 0 });
+  const delays = [];
+  http.setHostDelay = (host, ms) => delays.push([host, ms]);
+  const robots = createRobotsCache({ http, userAgent: 'Colorado-Service-Navigator-CatalogAgent/1.0' });
+
+  const allowed = async url => (await robots.check(url)).allowed;
+  check(await allowed('https://a.colorado.gov/services'), 'our named group overrides "*"');
+  check(!(await allowed('https://a.colorado.gov/private/forms')), 'applies Disallow');
+  check(await allowed('https://a.colorado.gov/private/open/form'), 'the longer Allow wins');
+  check(!(await allowed('https://a.colorado.gov/forms/guide.pdf'))
+    && await allowed('https://a.colorado.gov/forms/guide.pdf?download=1'), 'supports "*" and "$" in rules');
+  checkEqual(server.requests.filter(request => request.url.endsWith('/robots.txt')).length, 1, 'fetches robots.txt once per host');
+  checkEqual(delays, [['a.colorado.gov', 5000]], 'passes Crawl-delay to the HTTP client');
+  checkEqual(await robots.getSitemaps('https://a.colorado.gov/'), ['https://a.colorado.gov/sitemap.xml'], 'lists Sitemap lines');
+
+  check(await allowed('https://missing.colorado.gov/anything'), 'a missing robots.txt allows everything');
+  const down = await robots.check('https://down.colorado.gov/page');
+  check(!down.allowed && down.reason === 'robots.txt unavailable (HTTP 500)', 'a failing robots.txt disallows the host',
+    JSON.stringify(down));
+  const gone = await robots.check('https://gone.colorado.gov/page');
+  check(!gone.allowed && /dns/.test(gone.reason), 'an unreachable host is disallowed', JSON.stringify(gone));
+
+  await robots.isAllowed('https://a.colorado.gov/private/forms', 'sitemap');
+  await robots.isAllowed('https://a.colorado.gov/services', 'sitemap');
+  checkEqual(robots.getSkipped().map(entry => [entry.url, entry.source, entry.rule]),
+    [['https://a.colorado.gov/private/forms', 'sitemap', '/private']], 'records skipped URLs');
+}
+
+function testLinkHealth() {
+  console.log('\nlink-health.js');
+  const runs = statuses => statuses.map((runStatus, i) => ({
+    checkedAt: `2026-01-${String(i + 1).padStart(2, '0')}T00:00:00Z`,
+    id: 1,
+    url: 'https://a.colorado.gov/',
+    status: runStatus,
+    elapsed: 100,
+  }));
+  const stateOf = statuses => linkHealth.classifyHistory(runs(statuses)).state;
+
+  checkEqual(stateOf(['ok', 'ok', 'ok']), 'healthy', 'all ok is healthy');
+  checkEqual(stateOf(['ok', 'broken', 'timeout', 'broken']), 'dead', 'three failures in a row is dead');
+  checkEqual(stateOf(['ok', 'timeout', 'ok', 'timeout', 'ok']), 'flaky', 'flipping between ok and failing is flaky');
+  checkEqual(stateOf(['ok', 'ok', 'timeout']), 'degraded', 'a first failure is degraded');
+  checkEqual(linkHealth.classifyHistory([{ ...runs(['ok'])[0], elapsed: 9000 }]).state, 'degraded', 'a slow page is degraded');
+
+  const dead = linkHealth.classifyHistory(runs(['ok', 'broken', 'broken', 'broken']));
+  checkEqual([dead.escalated, dead.consecutiveFailures, dead.firstFailedAt, dead.lastOkAt],
+    [true, 3, '2026-01-02', '2026-01-01'], 'dead links are escalated with their failure dates');
+
+  const history = runs(['broken', 'broken', 'broken']).map(run => ({ ...run, url: 'https://a.colorado.gov/old' }));
+  const repaired = linkHealth.assessService({ id: 1, url: 'https://a.colorado.gov/' },
+    { ...runs(['broken'])[0], checkedAt: '2026-02-01T00:00:00Z' }, linkHealth.indexHistory(history));
+  checkEqual([repaired.state, repaired.runs], ['degraded', 1], 'a repaired link starts a fresh history');
+
+  const departments = linkHealth.collectDepartmentUrls([
+    { id: 1, departmentUrl: 'https://cdle.colorado.gov/', department: { en: 'Labor and Employment' } },
+    { id: 2, departmentUrl: 'https://cdle.colorado.gov/', department: { en: 'Labor and Employment' } },
+    { id: 3, departmentUrl: 'https://cdhs.colorado.gov/', department: { en: 'Human Services' } },
+    { id: 4 },
+  ]);
+  checkEqual(departments.map(entry => [entry.url, entry.serviceIds, entry.department]), [
+    ['https://cdle.colorado.gov/', [1, 2], 'Labor and Employment'],
+    ['https://cdhs.colorado.gov/', [3], 'Human Services'],
+  ], 'collects each department homepage once');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'link-health-'));
+  try {
+    const historyPath = path.join(dir, 'link-health.jsonl');
+    const department = { id: null, url: 'https://cdle.colorado.gov/', department: 'Labor and Employment' };
+    const records = [
+      ...runs(['ok', 'ok', 'broken', 'ok']),
+      linkHealth.toRecord(department, { status: 'ok', httpStatus: 200 }, { source: 'test', checkedAt: '2026-01-05T00:00:00Z' }),
+    ];
+    linkHealth.saveHistory(historyPath, records, { maxRecordsPerService: 3 });
+    fs.appendFileSync(historyPath, '{not json\n');
+    const loaded = linkHealth.loadHistory(historyPath);
+    checkEqual(loaded.filter(record => record.id === 1).map(record => record.checkedAt.slice(0, 10)),
+      ['2026-01-02', '2026-01-03', '2026-01-04'], 'keeps the newest records per service on save');
+    checkEqual(loaded.filter(record => record.id === null).map(record => record.department),
+      ['Labor and Employment'], 'keeps department records and skips corrupt lines');
+    checkEqual(linkHealth.loadHistory(path.join(dir, 'missing.jsonl')), [], 'a missing history file is empty');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testHttpCache() {
+  console.log('\nhttp-cache.js');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+  let day = new Date('2026-03-01T00:00:00Z');
+  const now = () => day;
+  const url = 'https://a.colorado.gov/page';
+  let page = '<h1>Unemployment benefits</h1><p>Apply online.</p>';
+  let etag = '"v1"';
+
+  const clock = createFakeClock();
+  const server = createFakeServer({
+    [url]: (requestUrl, init) => {
+      if (init.headers['If-None-Match'] === etag) return status(304);
+      return new Response(page, { status: 200, headers: { 'content-type': 'text/html', etag } });
+    },
+    'https://a.colorado.gov/missing': [status(404)],
+    'https://a.colorado.gov/not-a-page-at-all': [status(404)],
+  }, clock);
+  const http = fakeClient(server, clock, { retries: 0 });
+
+  try {
+    let cache = createHttpCache({ cacheDir: dir, name: 'test', now });
+    let result = await cache.fetchPage(http, url);
+    check(result.contentChanged === null && result.entry.etag === '"v1"', 'the first fetch has nothing to compare with',
+      `contentChanged ${result.contentChanged}`);
+    cache.save();
+    check(fs.existsSync(path.join(dir, 'http-cache-test.json')), 'saves to the tool\'s own cache file');
+
+    cache = createHttpCache({ cacheDir: dir, name: 'test', now });
+    result = await cache.fetchPage(http, url);
+    const lastRequest = server.requests[server.requests.length - 1];
+    check(lastRequest.headers['If-None-Match'] === '"v1"' && result.notModified && result.contentChanged === false,
+      'sends If-None-Match and treats a 304 as unchanged', `headers ${JSON.stringify(lastRequest.headers)}`);
+
+    etag = '"v2"';
+    page = page.replace('<p>', '<script>var token = "abc123";</script><p>');
+    result = await cache.fetchPage(http, url);
+    checkEqual(result.contentChanged, false, 'markup-only changes don\'t count');
+
+    etag = '"v3"';
+    page = page.replace('Apply online.', 'Applications are closed.');
+    result = await cache.fetchPage(http, url);
+    checkEqual(result.contentChanged, true, 'a change in the text is reported');
+
+    result = await cache.fetchPage(http, 'https://a.colorado.gov/missing');
+    check(result.entry === null && cache.get('https://a.colorado.gov/missing') === null, 'error pages aren\'t cached');
+
+    day = new Date('2026-07-01T00:00:00Z');
+    cache.save();
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'http-cache-test.json'), 'utf-8'));
+    checkEqual(Object.keys(saved.entries), [], 'drops entries older than maxAgeDays on save');
+
+    // The page checker reuses a verdict while the page is unchanged
+    cache = createHttpCache({ cacheDir: dir, name: 'checker', now });
+    const soft404 = createSoft404Detector({ http });
+    let detections = 0;
+    const detector = { detect: (...detectArgs) => { detections++; return soft404.detect(...detectArgs); } };
+    const checker = createPageChecker({ http, cache, detector });
+    const checkPage = async () => {
+      const response = await http.request(url);
+      return checker.check(url, { response, method: 'GET', finalUrl: url, redirect: null, elapsed: 10 });
+    };
+    const first = await checkPage();
+    const second = await checkPage();
+    check(first.status === 'ok' && second.status === 'ok' && second.contentChanged === false && detections === 1,
+      'reuses the soft-404 verdict for an unchanged page', `${detections} detection(s), contentChanged ${second.contentChanged}`);
+
+    etag = '"v4"';
+    page = fs.readFileSync(path.join(__dirname, 'fixtures', 'soft404', 'drupal-page-not-found.html'), 'utf-8');
+    const third = await checkPage();
+    check(third.status === 'soft_404' && third.contentChanged === true && detections === 2,
+      're-runs detection when the page changes', `${third.status}, ${detections} detection(s)`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function testLinkReporters() {
+  console.log('\nlink-reporters.js');
+  const rows = [
+    reporters.toRow({
+      service: { id: 7, name: { en: 'Apply for "Benefits", <now>' }, url: 'https://a.colorado.gov/apply' },
+      status: 'broken',
+      httpStatus: 404,
+      reason: 'HTTP 404',
+      elapsed: 1500,
+      failed: true,
+      health: { state: 'dead', escalated: true, consecutiveFailures: 3, firstFailedAt: '2026-01-02', lastOkAt: '2026-01-01' },
+    }),
+    reporters.toRow({
+      service: { id: 8, name: { en: 'Renew a license' }, url: 'https://b.colorado.gov/renew' },
+      status: 'timeout',
+      reason: 'Request timed out',
+      elapsed: 15000,
+      failed: false,
+      health: { state: 'degraded', escalated: false, consecutiveFailures: 1 },
+    }),
+    reporters.toRow({
+      department: { url: 'https://cdle.colorado.gov/', department: 'Labor and Employment', serviceIds: [7, 9] },
+      status: 'ok',
+      httpStatus: 200,
+      elapsed: 500,
+      health: { state: 'healthy' },
+    }),
+  ];
+
+  checkEqual([rows[2].kind, rows[2].id, rows[2].name, rows[2].serviceIds], ['department', null, 'Labor and Employment', [7, 9]],
+    'flattens department results into rows');
+
+  const junit = reporters.toJUnit(rows, { generated: '2026-03-01T00:00:00Z' });
+  check(junit.includes('tests="3" failures="1" skipped="1"'), 'JUnit counts failures and watched links', junit.split('\n')[1]);
+  check(junit.includes('name="ID 7: Apply for &quot;Benefits&quot;, &lt;now&gt;"'), 'JUnit escapes names');
+
+  const catalogText = [
+    '{', '  "services": [', '    {', '      "id": 7,', '      "url": "https://a.colorado.gov/apply"', '    },',
+    '    {', '      "id": 8,', '      "url": "https://b.colorado.gov/renew"', '    }', '  ]', '}',
+  ].join('\n');
+  const sarif = JSON.parse(reporters.toSarif(rows, { catalogText }));
+  const results = sarif.runs[0].results;
+  checkEqual(results.map(result => [result.ruleId, result.level, result.locations[0].physicalLocation.region?.startLine]),
+    [['broken', 'error', 5], ['timeout', 'note', 9]], 'SARIF levels and catalog line numbers');
+
+  const csv = reporters.toCsv(rows).split('\n');
+  check(csv.length === 4 && csv[1].includes('"Apply for ""Benefits"", <now>"') && csv[3].includes(',7 9,'),
+    'CSV quotes names and joins service ids', csv[1]);
+
+  checkEqual(JSON.parse(reporters.toNdjsonLine('summary', { total: 3 })), { type: 'summary', total: 3 }, 'NDJSON lines carry their type');
+}
+
+async function testRedirects() {
+  console.log('\nredirects.js');
+  const cases = [
+    { chain: [['https://a.colorado.gov/x', 200]], kind: 'none', safe: false },
+    { chain: [['https://a.colorado.gov/x', 301], ['https://a.colorado.gov/y', 200]], kind: 'permanent', safe: true },
+    { chain: [['https://a.colorado.gov/x', 302], ['https://a.colorado.gov/y', 200]], kind: 'temporary', safe: false },
+    { chain: [['http://a.colorado.gov/x', 301], ['https://a.colorado.gov/x', 200]], kind: 'protocol_upgrade', safe: true },
+    { chain: [['https://a.colorado.gov/x', 301], ['https://a.colorado.gov/cas/login?service=https%3A%2F%2Fa.colorado.gov%2Fx', 200]], kind: 'to_login', safe: false },
+    { chain: [['https://a.colorado.gov/x', 301], ['https://a.colorado.gov/apply?SAMLRequest=abc', 200]], kind: 'to_login', safe: false },
+    { chain: [['https://a.colorado.gov/x', 301], ['https://a.colorado.gov/apply?service=unemployment', 200]], kind: 'permanent', safe: true },
+    { chain: [['https://a.colorado.gov/x', 301], ['https://login.colorado.gov/', 200]], kind: 'to_login', safe: false },
+    { chain: [['https://a.colorado.gov/programs/x', 301], ['https://a.colorado.gov/', 200]], kind: 'to_domain_root', safe: false },
+    { chain: [['https://a.colorado.gov/x', 301], ['https://example.com/x', 200]], kind: 'cross_domain', safe: false },
+    { chain: [['https://a.state.co.us/x', 301], ['https://b.state.co.us/x', 200]], kind: 'cross_domain', safe: false },
+  ];
+  for (const { chain, kind, safe } of cases) {
+    const hops = chain.map(([url, hopStatus]) => ({ url, status: hopStatus }));
+    const result = redirects.classifyRedirects(hops);
+    check(result.kind === kind && result.safeToRepair === safe, `${redirects.formatChain(hops)}: ${kind}`,
+      `got ${result.kind}${result.safeToRepair ? ' (safe to repair)' : ''}`);
+  }
+
+  checkEqual(redirects.getBaseDomain('dmv.colorado.gov'), 'colorado.gov', 'base domain of a colorado.gov host');
+  checkEqual(redirects.getBaseDomain('www.cdphe.state.co.us'), 'cdphe.state.co.us', 'base domain keeps the agency label on state.co.us');
+  check(!redirects.isSuspiciousRedirect('https://a.colorado.gov/', 'https://b.colorado.gov/')
+    && redirects.isSuspiciousRedirect('https://a.colorado.gov/', 'https://example.com/'), 'only other base domains are suspicious');
+  checkEqual(redirects.redirectFields(redirects.classifyRedirects([])), {}, 'no report fields without a redirect');
+
+  // A chain straight from http.follow() against the fake server
+  const clock = createFakeClock();
+  const server = createFakeServer({
+    'https://a.colorado.gov/apply': [status(302, { location: 'https://sso.colorado.gov/start' })],
+    'https://sso.colorado.gov/start': [html('Sign in')],
+  }, clock);
+  const { chain } = await fakeClient(server, clock).follow('https://a.colorado.gov/apply');
+  const fields = redirects.redirectFields(redirects.classifyRedirects(chain));
+  checkEqual(fields, {
+    redirectKind: 'to_login',
+    redirectChain: [{ url: 'https://a.colorado.gov/apply', status: 302 }, { url: 'https://sso.colorado.gov/start', status: 200 }],
+  }, 'classifies a followed chain that ends on a sign-in page');
+}
+
+const SUITES = {
+  http: testHttp,
+  robots: testRobots,
+  'link-health': testLinkHealth,
+  'http-cache': testHttpCache,
+  'link-reporters': testLinkReporters,
+  redirects: testRedirects,
+};
+
+async function main() {
+  if (only && !SUITES[only]) {
+    console.error(`Unknown library "${only}"; expected one of: ${Object.keys(SUITES).join(', ')}`);
+    process.exit(1);
+  }
+
+  for (const [name, suite] of Object.entries(SUITES)) {
+    if (only && name !== only) continue;
+    try {
+      await suite();
+    } catch (error) {
+      check(false, `${name} checks ran to completion`, error.stack);
+    }
+  }
+
+  console.log(`\n${failures ? `${failures} check(s) failed` : 'All checks passed'}`);
+  if (failures) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,680 @@
+#!/usr/bin/env node
+/**
+ * Catalog Validator
+ *
+ * Validates service-catalog-v8.json against service-schema-v4.json using a
+ * small built-in JSON Schema (draft-07) evaluator, then applies semantic rules
+ * the schema cannot express:
+ * - Unique service ids
+ * - Unique normalized service URLs
+ * - serviceCount matches services.length
+ * - category.en/category.es pairs line up by enum index
+ * - Departments use one consistent Spanish name
+ * - Services with English tags also have Spanish tags
+ * - Fee ranges have min no greater than max
+ *
+ * It also checks the guided journeys in config/journeys.json: every step
+ * must point at a service id that exists in the catalog, appear only once
+ * per journey, and carry English and Spanish text.
+ *
+ * Duplicate URLs, department translation drift and missing Spanish tags are
+ * reported as warnings, since a few portals intentionally back several
+ * catalog entries; pass --strict to fail on warnings too.
+ *
+ * Exit codes: 0 = valid, 1 = violations found, 2 = fatal error.
+ *
+ * Usage:
+ *   node scripts/validate-catalog.js [--catalog <file>] [--schema <file>] [--journeys <file>] [--json] [--strict]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeUrl } = require('./recover-links-from-crawl');
+
+const CONFIG = {
+  catalogPath: path.join(__dirname, '..', 'service-catalog-v8.json'),
+  schemaPath: path.join(__dirname, '..', 'service-schema-v4.json'),
+  journeysPath: path.join(__dirname, '..', 'config', 'journeys.json'),
+};
+
+const FORMAT_PATTERNS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+};
+
+function parseArgs(argv) {
+  const args = {
+    catalog: CONFIG.catalogPath,
+    schema: CONFIG.schemaPath,
+    journeys: CONFIG.journeysPath,
+    json: false,
+    strict: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--catalog') {
+      args.catalog = argv[++i];
+    } else if (arg === '--schema') {
+      args.schema = argv[++i];
+    } else if (arg === '--journeys') {
+      args.journeys = argv[++i];
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--strict') {
+      args.strict = true;
+    }
+  }
+
+  return args;
+}
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = jsonType(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function childPath(basePath, key) {
+  if (typeof key === 'number') return `${basePath}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${basePath}.${key}` : `${basePath}[${JSON.stringify(key)}]`;
+}
+
+function checkFormat(value, format) {
+  if (format === 'uri') {
+    try {
+      const parsed = new URL(value);
+      return !!parsed.protocol;
+    } catch {
+      return false;
+    }
+  }
+  if (format === 'date') {
+    return FORMAT_PATTERNS.date.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+  }
+  const pattern = FORMAT_PATTERNS[format];
+  return pattern ? pattern.test(value) : true;
+}
+
+function resolveRef(rootSchema, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported remote $ref: ${ref}`);
+  }
+
+  const pointer = ref.slice(1);
+  if (!pointer) return rootSchema;
+
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => {
+      if (!node || typeof node !== 'object' || !(part in node)) {
+        throw new Error(`Unresolvable $ref: ${ref}`);
+      }
+      return node[part];
+    }, rootSchema);
+}
+
+/**
+ * Evaluate a value against a draft-07 schema node and collect every violation.
+ */
+function validateSchemaNode(value, schema, rootSchema, valuePath, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path: valuePath, keyword: 'false', message: 'No value is allowed here' });
+    return;
+  }
+
+  if (schema.$ref) {
+    // In draft-07, $ref siblings are ignored
+    validateSchemaNode(value, resolveRef(rootSchema, schema.$ref), rootSchema, valuePath, errors);
+    return;
+  }
+
+  const push = (keyword, message) => errors.push({ path: valuePath, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      push('type', `Expected ${types.join(' or ')}, got ${jsonType(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    push('enum', `Value ${JSON.stringify(value)} is not one of the allowed values`);
+  }
+
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    push('const', `Value must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && [...value].length < schema.minLength) {
+      push('minLength', `String is shorter than ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && [...value].length > schema.maxLength) {
+      push('maxLength', `String is longer than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      push('pattern', `String does not match pattern ${schema.pattern}`);
+    }
+    if (schema.format && !checkFormat(value, schema.format)) {
+      push('format', `String is not a valid ${schema.format}: ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      push('minimum', `Value ${value} is less than ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      push('maximum', `Value ${value} is greater than ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      push('exclusiveMinimum', `Value ${value} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      push('exclusiveMaximum', `Value ${value} must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      push('multipleOf', `Value ${value} is not a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      push('minItems', `Array has fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      push('maxItems', `Array has more than ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          errors.push({ path: childPath(valuePath, index), keyword: 'uniqueItems', message: 'Duplicate array item' });
+        }
+        seen.add(key);
+      });
+    }
+
+    if (Array.isArray(schema.items)) {
+      value.forEach((item, index) => {
+        if (index < schema.items.length) {
+          validateSchemaNode(item, schema.items[index], rootSchema, childPath(valuePath, index), errors);
+        } else if (schema.additionalItems !== undefined) {
+          validateSchemaNode(item, schema.additionalItems, rootSchema, childPath(valuePath, index), errors);
+        }
+      });
+    } else if (schema.items !== undefined) {
+      value.forEach((item, index) => {
+        validateSchemaNode(item, schema.items, rootSchema, childPath(valuePath, index), errors);
+      });
+    }
+
+    if (schema.contains !== undefined) {
+      const found = value.some(item => collectErrors(item, schema.contains, rootSchema, valuePath).length === 0);
+      if (!found) push('contains', 'No array item matches the "contains" schema');
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: childPath(valuePath, key), keyword: 'required', message: `Missing required property "${key}"` });
+      }
+    }
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      push('minProperties', `Object has fewer than ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      push('maxProperties', `Object has more than ${schema.maxProperties} properties`);
+    }
+
+    const properties = schema.properties || {};
+    const patternProperties = Object.entries(schema.patternProperties || {})
+      .map(([pattern, subschema]) => [new RegExp(pattern, 'u'), subschema]);
+
+    for (const key of keys) {
+      const keyPath = childPath(valuePath, key);
+      let matched = false;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        matched = true;
+        validateSchemaNode(value[key], properties[key], rootSchema, keyPath, errors);
+      }
+
+      for (const [regex, subschema] of patternProperties) {
+        if (regex.test(key)) {
+          matched = true;
+          validateSchemaNode(value[key], subschema, rootSchema, keyPath, errors);
+        }
+      }
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: keyPath, keyword: 'additionalProperties', message: `Unexpected property "${key}"` });
+        } else {
+          validateSchemaNode(value[key], schema.additionalProperties, rootSchema, keyPath, errors);
+        }
+      }
+
+      if (schema.propertyNames !== undefined && collectErrors(key, schema.propertyNames, rootSchema, keyPath).length) {
+        errors.push({ path: keyPath, keyword: 'propertyNames', message: `Property name "${key}" is not allowed` });
+      }
+    }
+
+    for (const [key, dependency] of Object.entries(schema.dependencies || {})) {
+      if (!(key in value)) continue;
+      if (Array.isArray(dependency)) {
+        for (const needed of dependency) {
+          if (!(needed in value)) {
+            push('dependencies', `Property "${key}" requires property "${needed}"`);
+          }
+        }
+      } else {
+        validateSchemaNode(value, dependency, rootSchema, valuePath, errors);
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    validateSchemaNode(value, subschema, rootSchema, valuePath, errors);
+  }
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(subschema => collectErrors(value, subschema, rootSchema, valuePath).length === 0);
+    if (!passes) push('anyOf', 'Value does not match any of the allowed schemas');
+  }
+
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter(subschema => collectErrors(value, subschema, rootSchema, valuePath).length === 0).length;
+    if (passing !== 1) push('oneOf', `Value matches ${passing} schemas; expected exactly one`);
+  }
+
+  if (schema.not !== undefined && collectErrors(value, schema.not, rootSchema, valuePath).length === 0) {
+    push('not', 'Value matches a schema it must not match');
+  }
+
+  if (schema.if !== undefined) {
+    const conditionHolds = collectErrors(value, schema.if, rootSchema, valuePath).length === 0;
+    const branch = conditionHolds ? schema.then : schema.else;
+    if (branch !== undefined) {
+      validateSchemaNode(value, branch, rootSchema, valuePath, errors);
+    }
+  }
+}
+
+function collectErrors(value, schema, rootSchema, valuePath) {
+  const errors = [];
+  validateSchemaNode(value, schema, rootSchema, valuePath, errors);
+  return errors;
+}
+
+function validateAgainstSchema(data, schema) {
+  return collectErrors(data, schema, schema, '$');
+}
+
+function serviceIdForPath(catalog, valuePath) {
+  const match = valuePath.match(/^\$\.services\[(\d+)\]/);
+  if (!match) return null;
+  const service = catalog.services?.[Number(match[1])];
+  return service && service.id !== undefined ? service.id : null;
+}
+
+function getCategoryPairs(schema) {
+  const category = schema?.definitions?.Category?.properties || {};
+  const en = category.en?.enum || [];
+  const es = category.es?.enum || [];
+  return new Map(en.map((value, index) => [value, es[index]]));
+}
+
+function checkSemanticRules(catalog, schema) {
+  const issues = [];
+  const services = Array.isArray(catalog.services) ? catalog.services : [];
+
+  if (typeof catalog.serviceCount === 'number' && catalog.serviceCount !== services.length) {
+    issues.push({
+      path: '$.serviceCount',
+      rule: 'service-count',
+      severity: 'error',
+      message: `serviceCount is ${catalog.serviceCount} but the catalog contains ${services.length} services`,
+    });
+  }
+
+  const idToIndex = new Map();
+  const urlToId = new Map();
+  const categoryPairs = getCategoryPairs(schema);
+  const departmentNames = new Map();
+
+  services.forEach((service, index) => {
+    if (!service || typeof service !== 'object') return;
+    const basePath = `$.services[${index}]`;
+
+    if (service.id !== undefined) {
+      if (idToIndex.has(service.id)) {
+        issues.push({
+          path: `${basePath}.id`,
+          rule: 'unique-id',
+          severity: 'error',
+          message: `Duplicate id ${service.id} (first used at $.services[${idToIndex.get(service.id)}])`,
+        });
+      } else {
+        idToIndex.set(service.id, index);
+      }
+    }
+
+    if (typeof service.url === 'string') {
+      const normalized = normalizeUrl(service.url);
+      if (urlToId.has(normalized)) {
+        issues.push({
+          path: `${basePath}.url`,
+          rule: 'unique-url',
+          severity: 'warning',
+          message: `URL duplicates service ID ${urlToId.get(normalized)}: ${service.url}`,
+        });
+      } else {
+        urlToId.set(normalized, service.id);
+      }
+    }
+
+    const category = service.category;
+    if (category && categoryPairs.has(category.en) && categoryPairs.get(category.en) !== category.es) {
+      issues.push({
+        path: `${basePath}.category.es`,
+        rule: 'category-pair',
+        severity: 'error',
+        message: `Category "${category.en}" must be paired with "${categoryPairs.get(category.en)}", got "${category.es}"`,
+      });
+    }
+
+    const tags = service.tags;
+    if (tags && Array.isArray(tags.en) && Array.isArray(tags.es) && tags.en.length > 0 && tags.es.length === 0) {
+      issues.push({
+        path: `${basePath}.tags.es`,
+        rule: 'tag-translation',
+        severity: 'warning',
+        message: 'Service has English tags but no Spanish tags (run scripts/migrate-tags.js to back-fill them)',
+      });
+    }
+
+    const fees = service.fees;
+    if (fees && typeof fees.min === 'number' && typeof fees.max === 'number' && fees.min > fees.max) {
+      issues.push({
+        path: `${basePath}.fees`,
+        rule: 'fee-range',
+        severity: 'error',
+        message: `Fee range minimum ${fees.min} is greater than maximum ${fees.max}`,
+      });
+    }
+
+    const department = service.department;
+    if (department && typeof department.en === 'string' && typeof department.es === 'string') {
+      if (!departmentNames.has(department.en)) departmentNames.set(department.en, new Map());
+      const variants = departmentNames.get(department.en);
+      if (!variants.has(department.es)) variants.set(department.es, []);
+      variants.get(department.es).push(index);
+    }
+  });
+
+  for (const [departmentEn, variants] of departmentNames.entries()) {
+    if (variants.size < 2) continue;
+
+    // Treat the most common Spanish name as canonical and flag the others
+    const ranked = [...variants.entries()].sort((a, b) => b[1].length - a[1].length);
+    const [canonical] = ranked[0];
+    for (const [variant, indexes] of ranked.slice(1)) {
+      for (const index of indexes) {
+        issues.push({
+          path: `$.services[${index}].department.es`,
+          rule: 'department-translation',
+          severity: 'warning',
+          message: `Department "${departmentEn}" is translated as "${variant}" here but "${canonical}" elsewhere`,
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+function isLocalizedText(value) {
+  return Boolean(value)
+    && typeof value.en === 'string' && value.en.trim() !== ''
+    && typeof value.es === 'string' && value.es.trim() !== '';
+}
+
+function checkJourneys(journeysFile, catalog, schema) {
+  const issues = [];
+  const journeys = Array.isArray(journeysFile?.journeys) ? journeysFile.journeys : null;
+  if (!journeys) {
+    return [{
+      path: '$.journeys',
+      rule: 'journey-structure',
+      severity: 'error',
+      message: 'Journeys file must contain a "journeys" array',
+      journeyId: null,
+    }];
+  }
+
+  const serviceIds = new Set((catalog.services || []).map(service => service?.id));
+  const lifeEvents = schema?.definitions?.Service?.properties?.lifeEvent?.enum || [];
+  const journeyIds = new Set();
+
+  journeys.forEach((journey, index) => {
+    const basePath = `$.journeys[${index}]`;
+    const journeyId = typeof journey?.id === 'string' ? journey.id : null;
+    const add = (pathSuffix, rule, severity, message) => {
+      issues.push({ path: `${basePath}${pathSuffix}`, rule, severity, message, journeyId });
+    };
+
+    if (!journeyId || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(journeyId)) {
+      add('.id', 'journey-structure', 'error', 'Journey id must be a lowercase slug such as "moving-to-colorado"');
+    } else if (journeyIds.has(journeyId)) {
+      add('.id', 'journey-structure', 'error', `Duplicate journey id "${journeyId}"`);
+    } else {
+      journeyIds.add(journeyId);
+    }
+
+    ['title', 'description'].forEach(field => {
+      if (!isLocalizedText(journey?.[field])) {
+        add(`.${field}`, 'journey-structure', 'error', `Journey ${field} needs non-empty "en" and "es" text`);
+      }
+    });
+
+    if (journey?.lifeEvent !== undefined && lifeEvents.length && !lifeEvents.includes(journey.lifeEvent)) {
+      add('.lifeEvent', 'journey-life-event', 'warning', `Life event "${journey.lifeEvent}" is not one of the catalog's life events`);
+    }
+
+    if (!Array.isArray(journey?.steps) || journey.steps.length === 0) {
+      add('.steps', 'journey-structure', 'error', 'Journey must have at least one step');
+      return;
+    }
+
+    const stepServices = new Map();
+    journey.steps.forEach((step, stepIndex) => {
+      const stepPath = `.steps[${stepIndex}]`;
+
+      if (!Number.isInteger(step?.serviceId)) {
+        add(`${stepPath}.serviceId`, 'journey-structure', 'error', 'Step serviceId must be an integer');
+      } else if (!serviceIds.has(step.serviceId)) {
+        add(`${stepPath}.serviceId`, 'journey-service', 'error', `Step references service ID ${step.serviceId}, which is not in the catalog`);
+      } else if (stepServices.has(step.serviceId)) {
+        add(`${stepPath}.serviceId`, 'journey-duplicate-step', 'error', `Service ID ${step.serviceId} is already step ${stepServices.get(step.serviceId) + 1} of this journey`);
+      } else {
+        stepServices.set(step.serviceId, stepIndex);
+      }
+
+      if (!isLocalizedText(step?.explanation)) {
+        add(`${stepPath}.explanation`, 'journey-structure', 'error', 'Step explanation needs non-empty "en" and "es" text');
+      }
+      if (step?.condition !== undefined && !isLocalizedText(step.condition)) {
+        add(`${stepPath}.condition`, 'journey-structure', 'error', 'Step condition needs non-empty "en" and "es" text');
+      }
+      if (step?.optional !== undefined && typeof step.optional !== 'boolean') {
+        add(`${stepPath}.optional`, 'journey-structure', 'error', 'Step optional must be true or false');
+      }
+    });
+  });
+
+  return issues;
+}
+
+function validateCatalog(catalog, schema, journeysFile = null) {
+  const schemaIssues = validateAgainstSchema(catalog, schema).map(error => ({
+    path: error.path,
+    rule: `schema:${error.keyword}`,
+    severity: 'error',
+    message: error.message,
+  }));
+
+  const semanticIssues = Array.isArray(catalog?.services) ? checkSemanticRules(catalog, schema) : [];
+
+  const issues = [...schemaIssues, ...semanticIssues].map(issue => ({
+    serviceId: serviceIdForPath(catalog, issue.path),
+    ...issue,
+  }));
+
+  if (journeysFile) {
+    const journeyIssues = checkJourneys(journeysFile, catalog, schema);
+    issues.push(...journeyIssues.map(issue => ({ serviceId: null, ...issue })));
+  }
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const warnings = issues.filter(issue => issue.severity === 'warning').length;
+
+  return {
+    valid: errors === 0,
+    summary: {
+      services: Array.isArray(catalog?.services) ? catalog.services.length : 0,
+      journeys: Array.isArray(journeysFile?.journeys) ? journeysFile.journeys.length : 0,
+      errors,
+      warnings,
+    },
+    issues,
+  };
+}
+
+function generateReport(result, catalogPath) {
+  const lines = [];
+  lines.push('# Catalog Validation Report');
+  lines.push(`Catalog: ${catalogPath}`);
+  lines.push('');
+  lines.push('## Summary');
+  lines.push(`- Services: ${result.summary.services}`);
+  lines.push(`- Journeys: ${result.summary.journeys}`);
+  lines.push(`- Errors: ${result.summary.errors}`);
+  lines.push(`- Warnings: ${result.summary.warnings}`);
+  lines.push('');
+
+  const catalogLevel = result.issues.filter(issue => issue.serviceId === null && issue.journeyId === undefined);
+  const byService = new Map();
+  const byJourney = new Map();
+  for (const issue of result.issues) {
+    if (issue.journeyId !== undefined) {
+      const key = issue.journeyId || '(no id)';
+      if (!byJourney.has(key)) byJourney.set(key, []);
+      byJourney.get(key).push(issue);
+      continue;
+    }
+    if (issue.serviceId === null) continue;
+    if (!byService.has(issue.serviceId)) byService.set(issue.serviceId, []);
+    byService.get(issue.serviceId).push(issue);
+  }
+
+  if (catalogLevel.length) {
+    lines.push('## Catalog');
+    for (const issue of catalogLevel) {
+      lines.push(`- [${issue.severity}] ${issue.path}: ${issue.message} (${issue.rule})`);
+    }
+    lines.push('');
+  }
+
+  if (byService.size) {
+    lines.push('## Services');
+    for (const [serviceId, issues] of byService.entries()) {
+      lines.push(`- ID ${serviceId}`);
+      for (const issue of issues) {
+        lines.push(`  - [${issue.severity}] ${issue.path}: ${issue.message} (${issue.rule})`);
+      }
+    }
+    lines.push('');
+  }
+
+  if (byJourney.size) {
+    lines.push('## Journeys');
+    for (const [journeyId, issues] of byJourney.entries()) {
+      lines.push(`- ${journeyId}`);
+      for (const issue of issues) {
+        lines.push(`  - [${issue.severity}] ${issue.path}: ${issue.message} (${issue.rule})`);
+      }
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let catalog;
+  let schema;
+  let journeys;
+  try {
+    catalog = JSON.parse(fs.readFileSync(args.catalog, 'utf-8'));
+    schema = JSON.parse(fs.readFileSync(args.schema, 'utf-8'));
+    journeys = JSON.parse(fs.readFileSync(args.journeys, 'utf-8'));
+  } catch (error) {
+    console.error(`Catalog validation failed: ${error.message}`);
+    process.exit(2);
+  }
+
+  const result = validateCatalog(catalog, schema, journeys);
+  const failed = !result.valid || (args.strict && result.summary.warnings > 0);
+
+  if (args.json) {
+    console.log(JSON.stringify({
+      catalog: args.catalog,
+      schema: args.schema,
+      journeys: args.journeys,
+      valid: !failed,
+      ...result,
+    }, null, 2));
+  } else {
+    console.log(generateReport(result, args.catalog));
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  checkJourneys,
+  checkSemanticRules,
+  validateAgainstSchema,
+  validateCatalog,
+};
+
+if (require.main === module) {
+  main();
+}